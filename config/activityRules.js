@@ -0,0 +1,55 @@
+// config/activityRules.js
+//
+// Activity type classification rules used by the activity breakdown.
+//
+// Rules are checked in order and the FIRST match wins. A module that
+// matches no rule is not counted in any class table.
+//
+// rule = {
+//   id:    unique rule name (shown in the classification preview)
+//   type:  any type name — 'video', 'pdf', 'audio', 'quiz', 'worksheet', ...
+//   match: every listed condition must hold (values inside a list are OR'ed)
+//     modname:  ['resource', 'url', ...]         Moodle module type
+//     mimetype: ['application/pdf', 'video/*']   file mimetype from module contents
+//     urlHost:  ['youtube.com', 'vimeo.com']     host of a `url` module (subdomains match)
+//     name:     'regex'                          module name, case-insensitive
+// }
+//
+// Per-course overrides are PREPENDED to the site rules unless
+// `replace: true` is set:
+//   courses: { '12': { rules: [...], replace: false } }
+//
+// ACTIVITY_RULES_FILE may point to a JSON file with the same
+// { site, courses } shape to replace these defaults without a code change.
+//
+const fs = require('fs');
+
+const RESOURCE_MODULES = ['resource', 'url', 'page', 'scorm', 'folder'];
+
+const defaults = {
+  site: [
+    { id: 'interactive-video', type: 'video', match: { modname: ['interactivevideo'] } },
+    { id: 'video-host', type: 'video', match: { modname: ['url'], urlHost: ['youtube.com', 'youtu.be', 'vimeo.com'] } },
+    { id: 'video-file', type: 'video', match: { modname: ['resource', 'folder'], mimetype: ['video/*'] } },
+    { id: 'audio-file', type: 'audio', match: { modname: ['resource', 'folder'], mimetype: ['audio/*'] } },
+    { id: 'pdf-file', type: 'pdf', match: { modname: ['resource', 'folder'], mimetype: ['application/pdf'] } },
+    { id: 'quiz', type: 'quiz', match: { modname: ['quiz'] } },
+    { id: 'worksheet', type: 'worksheet', match: { modname: ['assign'], name: '\\bworksheets?\\b' } },
+    { id: 'video-name', type: 'video', match: { modname: RESOURCE_MODULES, name: '\\bvideos?\\b' } },
+    { id: 'pdf-name', type: 'pdf', match: { modname: RESOURCE_MODULES, name: '\\b(pdf|document)s?\\b' } }
+  ],
+  courses: {}
+};
+
+const loadRules = () => {
+  const file = process.env.ACTIVITY_RULES_FILE;
+  if (!file) return defaults;
+
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    site: custom.site || defaults.site,
+    courses: custom.courses || {}
+  };
+};
+
+module.exports = loadRules();
@@ -1,13 +1,214 @@
 // config/moodle.js
 require('dotenv').config();
+const path = require('path');
+const { parseJsonEnv, parseNonNegativeIntEnv } = require('../utils/env');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
 
 module.exports = {
   moodleUrl: process.env.MOODLE_URL,
   moodleService: process.env.MOODLE_SERVICE || 'moodle_mobile_app',
-  moodleToken: process.env.MOODLE_TOKEN, // ← ADD THIS LINE
+  moodleToken: process.env.MOODLE_TOKEN, // site (service account) token for background work
   jwtSecret: process.env.JWT_SECRET,
   jwtExpiry: process.env.JWT_EXPIRY || '24h',
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
-  allowedOrigins: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000']
-};
\ No newline at end of file
+  allowedOrigins: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+  // Express 'trust proxy' setting, so req.ip is the client behind a reverse
+  // proxy (e.g. TRUST_PROXY=1 for one hop)
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY || false,
+
+  // Structured logs: one JSON object per line (LOG_FORMAT=pretty for
+  // readable lines in development). Tokens, passwords and emails are redacted.
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // 'debug' | 'info' | 'warn' | 'error'
+    format: process.env.LOG_FORMAT || 'json' // 'json' | 'pretty'
+  },
+
+  // Prometheus metrics at GET /metrics. With METRICS_TOKEN set, scrapers
+  // must send "Authorization: Bearer <token>".
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    token: process.env.METRICS_TOKEN || null
+  },
+
+  // Read-only connection to Moodle's logstore_standard_log table.
+  // When disabled, login analytics fall back to the lastaccess proxy.
+  logStore: {
+    enabled: process.env.LOGSTORE_ENABLED === 'true',
+    driver: process.env.LOGSTORE_DRIVER || 'mysql', // 'mysql' | 'postgres'
+    host: process.env.LOGSTORE_HOST || 'localhost',
+    port: parseInt(process.env.LOGSTORE_PORT) || undefined,
+    database: process.env.LOGSTORE_DATABASE || 'moodle',
+    user: process.env.LOGSTORE_USER,
+    password: process.env.LOGSTORE_PASSWORD,
+    tablePrefix: process.env.LOGSTORE_TABLE_PREFIX || 'mdl_',
+    poolSize: parseInt(process.env.LOGSTORE_POOL_SIZE) || 5
+  },
+
+  // Writable scratch database for scripts/seedLogStore.js only. Deliberately
+  // separate from LOGSTORE_*: the script refuses to run against that database.
+  seedLogStore: {
+    driver: process.env.SEED_LOGSTORE_DRIVER || 'mysql', // 'mysql' | 'postgres'
+    host: process.env.SEED_LOGSTORE_HOST,
+    port: parseInt(process.env.SEED_LOGSTORE_PORT) || undefined,
+    database: process.env.SEED_LOGSTORE_DATABASE,
+    user: process.env.SEED_LOGSTORE_USER,
+    password: process.env.SEED_LOGSTORE_PASSWORD,
+    tablePrefix: process.env.SEED_LOGSTORE_TABLE_PREFIX || 'mdl_'
+  },
+
+  // Local storage for snapshots, caches, etc.
+  dataDir,
+
+  // Background lastaccess snapshotter (uses MOODLE_TOKEN)
+  snapshots: {
+    enabled: process.env.SNAPSHOT_ENABLED === 'true',
+    intervalMinutes: parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES) || 240,
+    retentionDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || 400,
+    dir: process.env.SNAPSHOT_DIR || path.join(dataDir, 'snapshots')
+  },
+
+  // Login sessions. The JWT only carries an opaque session id; the Moodle
+  // token stays server-side, encrypted with SESSION_ENCRYPTION_KEY
+  // (falls back to JWT_SECRET).
+  sessions: {
+    store: process.env.SESSION_STORE || 'memory', // 'memory' | 'file'
+    dir: process.env.SESSION_DIR || path.join(dataDir, 'sessions'),
+    encryptionKey: process.env.SESSION_ENCRYPTION_KEY,
+    refreshTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+  },
+
+  // Request throttling. Login attempts are limited per IP and per username,
+  // and repeated failures lock the username (or IP) for lockoutBaseSeconds,
+  // doubling with each further failure up to lockoutMaxSeconds. Expensive
+  // analytics routes share one per-user budget plus a cap on requests in
+  // flight. Counters live in memory, or in Redis to share them between
+  // instances.
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' | 'redis'
+    redisUrl: process.env.RATE_LIMIT_REDIS_URL || process.env.CACHE_REDIS_URL || 'redis://localhost:6379',
+    login: {
+      windowSeconds: parseInt(process.env.LOGIN_RATE_WINDOW_SECONDS) || 900,
+      maxPerIp: parseInt(process.env.LOGIN_RATE_MAX_PER_IP) || 30,
+      maxPerUsername: parseInt(process.env.LOGIN_RATE_MAX_PER_USERNAME) || 10,
+      failureWindowSeconds: parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 3600,
+      lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+      ipLockoutThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 20,
+      lockoutBaseSeconds: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60,
+      lockoutMaxSeconds: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600
+    },
+    analytics: {
+      windowSeconds: parseInt(process.env.ANALYTICS_RATE_WINDOW_SECONDS) || 600,
+      max: parseInt(process.env.ANALYTICS_RATE_MAX) || 30,
+      maxConcurrent: parseInt(process.env.ANALYTICS_MAX_CONCURRENT) || 2
+    }
+  },
+
+  // Named academic terms, selectable as ?dateRange=term:<id>. A JSON array of
+  // { id, name, startDate, endDate } (managed through /api/admin/terms)
+  terms: {
+    file: process.env.TERMS_FILE || path.join(dataDir, 'terms.json')
+  },
+
+  // Role shortnames counted as learners in all analytics (override with ?roles=)
+  learnerRoles: process.env.LEARNER_ROLES?.split(',').map(r => r.trim()) || ['student'],
+
+  // IANA timezone for day boundaries when neither ?tz= nor the user's
+  // Moodle profile sets one
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+
+  // Usernames always given the admin role
+  adminUsernames: process.env.ADMIN_USERNAMES?.split(',').map(u => u.trim()) || [],
+
+  // Role-based access (admin > coordinator > teacher > student), resolved at
+  // login: ADMIN_USERNAMES / ROLE_MAP first, then Moodle site admin, then the
+  // user's course roles. e.g. ROLE_MAP='{"jdoe":"coordinator"}'
+  rbac: {
+    userRoles: parseJsonEnv('ROLE_MAP', {}),
+    coordinatorRoles: process.env.COORDINATOR_ROLES?.split(',').map(r => r.trim()) || ['manager'],
+    teacherRoles: process.env.TEACHER_ROLES?.split(',').map(r => r.trim()) || ['editingteacher', 'teacher']
+  },
+
+  // Moodle web-service response cache (TTL in seconds, 0 = not cached)
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    backend: process.env.CACHE_BACKEND || 'memory', // 'memory' | 'redis'
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 5000,
+    redisUrl: process.env.CACHE_REDIS_URL || 'redis://localhost:6379',
+    defaultTtl: parseInt(process.env.CACHE_DEFAULT_TTL) || 0,
+    ttl: {
+      core_webservice_get_site_info: 300,
+      core_enrol_get_users_courses: 300,
+      core_user_get_users_by_field: 600,
+      core_user_get_course_user_profiles: 300,
+      core_enrol_get_enrolled_users: 300,
+      core_course_get_contents: 600,
+      core_course_get_courses: 600,
+      core_group_get_course_groups: 600,
+      core_group_get_group_members: 300,
+      core_completion_get_activities_completion_status: 120,
+      core_completion_get_course_completion_status: 120,
+      gradereport_user_get_grade_items: 120,
+      // e.g. CACHE_TTLS='{"core_course_get_contents":900}'
+      ...parseJsonEnv('CACHE_TTLS', {})
+    }
+  },
+
+  // Retries for transient Moodle failures (timeouts, ECONNRESET, HTTP 5xx)
+  retry: {
+    retries: parseNonNegativeIntEnv('MOODLE_RETRIES', 3),
+    baseDelayMs: parseInt(process.env.MOODLE_RETRY_BASE_MS) || 300,
+    maxDelayMs: parseInt(process.env.MOODLE_RETRY_MAX_MS) || 5000
+  },
+
+  // Fail fast while the Moodle server is down
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_MS) || 30000,
+    halfOpenMaxCalls: parseInt(process.env.CIRCUIT_HALF_OPEN_CALLS) || 1
+  },
+
+  // Scheduled pre-computation with the MOODLE_TOKEN service account. Each
+  // task: { id, type, cron, params? } with type 'activityBreakdown' |
+  // 'consistentAccess' | 'report' | 'snapshot'. Cron expressions use the
+  // scheduler timezone. e.g.
+  // SCHEDULED_TASKS='[{"id":"breakdown","type":"activityBreakdown","cron":"0 */6 * * *"}]'
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED === 'true',
+    timezone: process.env.SCHEDULER_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'UTC',
+    dir: process.env.SCHEDULER_DIR || path.join(dataDir, 'scheduled'),
+    tasks: parseJsonEnv('SCHEDULED_TASKS', [
+      { id: 'activity-breakdown', type: 'activityBreakdown', cron: '0 */6 * * *' },
+      { id: 'consistent-access-week', type: 'consistentAccess', cron: '15 1 * * *', params: { dateRange: 'week' } },
+      { id: 'report-last-month', type: 'report', cron: '30 2 1 * *', params: { dateRange: 'last_month' } }
+    ])
+  },
+
+  // Background report / breakdown jobs
+  jobs: {
+    maxConcurrent: parseInt(process.env.JOBS_MAX_CONCURRENT) || 2,
+    resultTtlMinutes: parseInt(process.env.JOBS_RESULT_TTL_MINUTES) || 60
+  },
+
+  // At-risk learner scoring. A signal at or above its threshold flags the
+  // learner; the score is the weighted share of signals (0–100).
+  // e.g. AT_RISK_THRESHOLDS='{"inactiveDays":21}' AT_RISK_WEIGHTS='{"grades":0.4}'
+  atRisk: {
+    thresholds: {
+      inactiveDays: 14,
+      classesBehind: 2,
+      gradesBelowPass: 1,
+      unfinishedQuizzes: 1,
+      ...parseJsonEnv('AT_RISK_THRESHOLDS', {})
+    },
+    weights: {
+      inactivity: 0.35,
+      classesBehind: 0.3,
+      grades: 0.2,
+      quizzes: 0.15,
+      ...parseJsonEnv('AT_RISK_WEIGHTS', {})
+    }
+  }
+};
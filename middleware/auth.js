@@ -1,12 +1,20 @@
 // middleware/auth.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config/moodle');
+const accessService = require('../services/accessService');
+const sessionService = require('../services/sessionService');
 const { sendError } = require('../utils/responseHandler');
+const { setCourseScope } = require('../utils/requestContext');
+const logger = require('../utils/logger').child({ module: 'auth' });
 
 /**
- * Verify JWT token and extract user data
+ * Verify the JWT, then load its server-side session (revoked or expired
+ * sessions are rejected) and attach the user to the request
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
+  let session;
+
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -20,22 +28,103 @@ const verifyToken = (req, res, next) => {
     // Verify and decode token
     const decoded = jwt.verify(token, config.jwtSecret);
 
-    // Attach user data to request
-    req.user = {
-      userId: decoded.userId,
-      username: decoded.username,
-      moodleToken: decoded.moodleToken
-    };
-
-    next();
+    session = await sessionService.resolve(decoded.sid);
+    if (!session) {
+      return sendError(res, 'Session expired or revoked, please log in again', 401, null, {
+        code: 'SESSION_EXPIRED',
+        relogin: true
+      });
+    }
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      return sendError(res, 'Token expired', 401);
+      // The client can still use its refresh token
+      return sendError(res, 'Token expired', 401, null, { code: 'TOKEN_EXPIRED' });
+    }
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+      return sendError(res, 'Invalid token', 401, null, { code: 'INVALID_TOKEN' });
     }
-    return sendError(res, 'Invalid token', 401);
+    logger.error('Session lookup failed', { error });
+    return sendError(res, 'Failed to verify session', 500, error.message);
+  }
+
+  // Attach user data to request
+  req.user = {
+    userId: session.userId,
+    username: session.username,
+    moodleToken: session.moodleToken,
+    role: session.role || 'student',
+    teachingCourseIds: session.teachingCourseIds || [],
+    sessionId: session.id
+  };
+
+  next();
+};
+
+/**
+ * Allow only users holding `role` or a higher one (use after verifyToken).
+ * Below coordinator, course lists on the route are limited to the courses
+ * the user teaches.
+ */
+const requireRole = (role) => (req, res, next) => {
+  const current = req.user?.role || 'student';
+
+  if (!accessService.hasRole(current, role)) {
+    return sendError(
+      res,
+      `This endpoint requires the ${role} role or higher; you are signed in as ${current}`,
+      403
+    );
+  }
+
+  if (role !== 'student') {
+    setCourseScope(accessService.courseScopeOf(req.user));
+  }
+  next();
+};
+
+/**
+ * Allow teachers only into courses where they hold a teaching role
+ * (use after requireRole). getCourseId reads the course id from the request;
+ * a missing or invalid id is left to the route to reject.
+ */
+const requireCourseAccess = (getCourseId = req => req.params.courseId) => (req, res, next) => {
+  const courseId = parseInt(getCourseId(req));
+  if (isNaN(courseId)) return next();
+
+  if (!accessService.canAccessCourse(req.user, courseId)) {
+    return sendError(
+      res,
+      `You do not hold a teaching role in course ${courseId}; teachers can only view the courses they teach`,
+      403
+    );
+  }
+  next();
+};
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Guard for GET /metrics: when METRICS_TOKEN is set, scrapers must send it
+ * as "Authorization: Bearer <token>". Without one the endpoint is open.
+ */
+const requireMetricsToken = (req, res, next) => {
+  const expected = config.metrics.token;
+  if (!expected) return next();
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+  // Compare digests so the check takes the same time whatever was sent
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+    return sendError(res, 'A valid metrics token is required', 401, null, { code: 'METRICS_TOKEN_INVALID' });
   }
+  next();
 };
 
 module.exports = {
-  verifyToken
+  verifyToken,
+  requireRole,
+  requireCourseAccess,
+  requireMetricsToken
 };
\ No newline at end of file
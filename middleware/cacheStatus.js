@@ -0,0 +1,38 @@
+// middleware/cacheStatus.js
+const { getContext } = require('../utils/requestContext');
+
+const CACHE_NAME = 'moodle-api';
+
+/**
+ * Build an RFC 9211 Cache-Status value summarising the Moodle calls made
+ * while serving this request
+ */
+const buildCacheStatus = ({ hits, misses, bypass }) => {
+  const detail = `detail="hits=${hits} misses=${misses}"`;
+
+  if (bypass) return `${CACHE_NAME}; fwd=request; ${detail}`;
+  if (misses === 0) return `${CACHE_NAME}; hit; ${detail}`;
+  return `${CACHE_NAME}; fwd=miss; stored; ${detail}`;
+};
+
+/**
+ * Add a Cache-Status header to every response that used the Moodle cache.
+ * Must be registered after requestContextMiddleware.
+ */
+const cacheStatus = (req, res, next) => {
+  const writeHead = res.writeHead;
+
+  res.writeHead = function (...args) {
+    const ctx = getContext();
+    if (ctx && (ctx.cache.hits || ctx.cache.misses) && !res.headersSent) {
+      res.setHeader('Cache-Status', buildCacheStatus(ctx.cache));
+    }
+    return writeHead.apply(this, args);
+  };
+
+  next();
+};
+
+module.exports = {
+  cacheStatus
+};
@@ -0,0 +1,38 @@
+// middleware/metrics.js
+const metricsService = require('../services/metricsService');
+
+/**
+ * Route label for a finished request: the matched route pattern, the
+ * router mount point when a router middleware answered (e.g. 401 from
+ * verifyToken), or "unmatched" for 404s
+ */
+const routeLabel = req => {
+  if (req.route) {
+    const path = req.route.path === '/' ? '' : req.route.path;
+    return `${req.baseUrl}${path}` || '/';
+  }
+  return req.baseUrl || 'unmatched';
+};
+
+/**
+ * Count and time every request for http_requests_total and
+ * http_request_duration_seconds (recorded once the response is done)
+ */
+const httpMetrics = (req, res, next) => {
+  const stop = metricsService.startHttpRequest();
+
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    stop({ method: req.method, route: routeLabel(req), status: res.statusCode });
+  };
+
+  res.on('finish', finish);
+  res.on('close', finish);
+  next();
+};
+
+module.exports = {
+  httpMetrics
+};
@@ -0,0 +1,164 @@
+// middleware/rateLimit.js
+//
+// Rate limits with the standard headers: RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset (seconds until the window resets)
+// on limited routes, plus Retry-After on 429 responses. When the counter
+// store is unreachable requests are let through rather than failing.
+//
+const config = require('../config/moodle');
+const rateLimitService = require('../services/rateLimitService');
+const { sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'rate-limit' });
+
+// Retry-After for a request refused because others are still running
+const CONCURRENCY_RETRY_SECONDS = 5;
+
+const secondsUntil = timestamp => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+const setRateLimitHeaders = (res, { limit, remaining, resetAt }) => {
+  res.setHeader('RateLimit-Limit', limit);
+  res.setHeader('RateLimit-Remaining', remaining);
+  res.setHeader('RateLimit-Reset', secondsUntil(resetAt));
+};
+
+const tooManyRequests = (res, message, retryAfterSeconds, code = 'RATE_LIMITED') => {
+  res.setHeader('Retry-After', retryAfterSeconds);
+  sendError(res, message, 429, null, { code });
+};
+
+const describeWindow = seconds =>
+  seconds % 60 === 0 ? `${seconds / 60} minute${seconds === 60 ? '' : 's'}` : `${seconds} seconds`;
+
+/**
+ * Fixed-window limit: at most `max` requests per `windowSeconds` for each
+ * key. keyBy(req) → key; requests without a key are not limited.
+ */
+const rateLimit = ({ bucket, windowSeconds, max, keyBy, label = 'requests' }) => async (req, res, next) => {
+  if (!rateLimitService.isEnabled()) return next();
+
+  const key = keyBy(req);
+  if (!key) return next();
+
+  let result;
+  try {
+    result = await rateLimitService.hit(bucket, key, { windowSeconds, max });
+  } catch (error) {
+    logger.error('Rate limit store unavailable, not limiting', { bucket, error });
+    return next();
+  }
+
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    const retryAfter = secondsUntil(result.resetAt);
+    return tooManyRequests(
+      res,
+      `Too many ${label}: the limit is ${max} per ${describeWindow(windowSeconds)}, try again in ${retryAfter} seconds`,
+      retryAfter
+    );
+  }
+
+  next();
+};
+
+/**
+ * At most `max` requests of a key running at the same time (per process);
+ * the slot is released when the response finishes or the client goes away
+ */
+const limitConcurrency = ({ bucket, max, keyBy, label = 'requests' }) => (req, res, next) => {
+  if (!rateLimitService.isEnabled()) return next();
+
+  const key = keyBy(req);
+  if (!key) return next();
+
+  const release = rateLimitService.acquire(bucket, key, max);
+  if (!release) {
+    return tooManyRequests(
+      res,
+      `You already have ${max} ${label} running; wait for them to finish`,
+      CONCURRENCY_RETRY_SECONDS
+    );
+  }
+
+  res.on('finish', release);
+  res.on('close', release);
+  next();
+};
+
+/**
+ * POST /api/auth/login guard: refuses locked usernames / IPs, then counts
+ * the attempt per IP and per username. Headers report the tighter limit.
+ * Failures and successes are recorded by the route once Moodle answers.
+ */
+const loginRateLimit = async (req, res, next) => {
+  if (!rateLimitService.isEnabled()) return next();
+
+  const { windowSeconds, maxPerIp, maxPerUsername } = config.rateLimit.login;
+  const username = rateLimitService.normalizeUsername(req.body?.username);
+
+  let results;
+  try {
+    const lockout = await rateLimitService.getLoginLockout(username, req.ip);
+    if (lockout) {
+      const retryAfter = secondsUntil(lockout.lockedUntil);
+      return tooManyRequests(
+        res,
+        `Too many failed login attempts ${lockout.scope === 'ip' ? 'from this address' : 'for this account'}; try again in ${retryAfter} seconds`,
+        retryAfter,
+        'LOGIN_LOCKED'
+      );
+    }
+
+    results = await Promise.all([
+      rateLimitService.hit('login-ip', req.ip, { windowSeconds, max: maxPerIp }),
+      username && rateLimitService.hit('login-user', username, { windowSeconds, max: maxPerUsername })
+    ]);
+  } catch (error) {
+    logger.error('Rate limit store unavailable, not limiting logins', { error });
+    return next();
+  }
+
+  const tightest = results
+    .filter(Boolean)
+    .sort((a, b) => (a.allowed - b.allowed) || (a.remaining - b.remaining))[0];
+
+  setRateLimitHeaders(res, tightest);
+  if (!tightest.allowed) {
+    const retryAfter = secondsUntil(tightest.resetAt);
+    return tooManyRequests(res, `Too many login attempts, try again in ${retryAfter} seconds`, retryAfter);
+  }
+
+  next();
+};
+
+const byUser = req => req.user?.userId;
+
+/**
+ * Per-user budget shared by the expensive analytics routes (reports,
+ * breakdowns, consistent access, insights, grades, quizzes, forums, job
+ * creation)
+ */
+const analyticsRateLimit = rateLimit({
+  bucket: 'analytics',
+  windowSeconds: config.rateLimit.analytics.windowSeconds,
+  max: config.rateLimit.analytics.max,
+  keyBy: byUser,
+  label: 'analytics requests'
+});
+
+const analyticsConcurrency = limitConcurrency({
+  bucket: 'analytics',
+  max: config.rateLimit.analytics.maxConcurrent,
+  keyBy: byUser,
+  label: 'analytics requests'
+});
+
+// Both, for routes that compute their result while the client waits
+const analyticsLimit = [analyticsRateLimit, analyticsConcurrency];
+
+module.exports = {
+  rateLimit,
+  limitConcurrency,
+  loginRateLimit,
+  analyticsRateLimit,
+  analyticsLimit
+};
@@ -0,0 +1,40 @@
+// middleware/timezone.js
+const config = require('../config/moodle');
+const moodleService = require('../services/moodleService');
+const { sendError } = require('../utils/responseHandler');
+const { isValidTimeZone } = require('../utils/timezone');
+const { addWarning } = require('../utils/requestContext');
+
+/**
+ * Resolve the IANA timezone used for day boundaries (use after verifyToken).
+ * Order: ?tz= (or ?timezone=), the user's Moodle profile timezone, then
+ * DEFAULT_TIMEZONE. Sets req.timezone = { name, source }.
+ */
+const resolveTimezone = async (req, res, next) => {
+  const requested = req.query.tz || req.query.timezone;
+
+  if (requested) {
+    if (!isValidTimeZone(requested)) {
+      return sendError(res, `Unknown timezone "${requested}". Use an IANA name such as Asia/Kolkata`, 400);
+    }
+    req.timezone = { name: requested, source: 'query' };
+    return next();
+  }
+
+  try {
+    const profile = await moodleService.getUserTimezone(req.user.moodleToken, req.user.userId);
+    if (isValidTimeZone(profile)) {
+      req.timezone = { name: profile, source: 'profile' };
+      return next();
+    }
+  } catch (err) {
+    addWarning({ type: 'degraded', call: 'core_user_get_users_by_field', reason: `Profile timezone unavailable: ${err.message}` });
+  }
+
+  req.timezone = { name: config.defaultTimezone, source: 'site' };
+  next();
+};
+
+module.exports = {
+  resolveTimezone
+};
@@ -1,16 +1,38 @@
 // routes/activityBreakdown.js
 const express = require('express');
 const activityBreakdownService = require('../services/activityBreakdownService');
-const { sendSuccess, sendError } = require('../utils/responseHandler');
-const { verifyToken } = require('../middleware/auth');
+const exportService = require('../services/exportService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'activity-breakdown' });
+const { verifyToken, requireRole, requireCourseAccess } = require('../middleware/auth');
+const { analyticsLimit, analyticsRateLimit } = require('../middleware/rateLimit');
+const { mountJobRoutes } = require('./jobRoutes');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter, parseSplit } = require('../utils/groupFilter');
 
 const router = express.Router();
-router.use(verifyToken);
+router.use(verifyToken, requireRole('teacher'));
+
+/**
+ * Role / group options shared by the breakdown endpoints
+ */
+const filterOptions = (query) => ({
+  roles: parseRoles(query.roles),
+  group: parseGroupFilter(query),
+  split: parseSplit(query.split)
+});
 
 /**
  * GET /api/activity-breakdown
  *
  * Returns class-wise Video + PDF completion for ALL courses.
+ * ?format=csv|xlsx|pdf downloads it instead (one XLSX sheet per course).
+ * ?roles=student,... limits counts to those role shortnames (default: learner
+ * roles from config, 'all' = every enrolled user); `roleFilter` reports how
+ * many users were excluded per role.
+ * ?groupId= / ?groupName= count only members of that course group (batch);
+ * with groupName, courses without such a group are left out.
+ * ?split=group adds `groups`: the class table once per group.
  *
  * Response example:
  * {
@@ -61,20 +83,120 @@ router.use(verifyToken);
  *   }
  * }
  */
-router.get('/', async (req, res) => {
+router.get('/', analyticsLimit, async (req, res) => {
   try {
     const { moodleToken, userId } = req.user;
-    console.log(`\n[API] Activity Breakdown → user ${userId}`);
+    const { format = 'json' } = req.query;
+
+    if (!exportService.isValidFormat(format)) {
+      return sendError(res, `Invalid format. Use one of: ${exportService.FORMATS.join(', ')}`, 400);
+    }
+
+    logger.debug('Activity breakdown requested', { userId });
 
     const data = await activityBreakdownService.getAllCoursesCompletionBreakdown(
       moodleToken,
-      userId
+      userId,
+      filterOptions(req.query)
     );
 
+    if (format !== 'json') {
+      return await exportService.send(res, format, exportService.buildBreakdownDocument(data));
+    }
+
     sendSuccess(res, data, 'Activity breakdown retrieved successfully');
   } catch (error) {
-    console.error('[API ERROR] Activity Breakdown:', error.message);
-    sendError(res, 'Failed to fetch activity breakdown', 500, error.message);
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch activity breakdown', { error });
+    sendRouteError(res, error, 'Failed to fetch activity breakdown');
+  }
+});
+
+/**
+ * Asynchronous breakdown jobs for all courses (same shape as GET /)
+ *
+ * POST   /api/activity-breakdown/jobs              → 202 { jobId }
+ * GET    /api/activity-breakdown/jobs              → caller's jobs
+ * GET    /api/activity-breakdown/jobs/:id          → status + percent complete
+ * GET    /api/activity-breakdown/jobs/:id/result   → finished breakdown (?format=csv|xlsx|pdf)
+ * DELETE /api/activity-breakdown/jobs/:id          → cancel
+ */
+mountJobRoutes(router, {
+  type: 'activityBreakdown',
+  basePath: '/api/activity-breakdown/jobs',
+  buildParams: (req) => filterOptions({ ...req.query, ...req.body }),
+  run: (user, params, job) => activityBreakdownService.getAllCoursesCompletionBreakdown(
+    user.moodleToken,
+    user.userId,
+    { job, ...params }
+  ),
+  toDocument: data => exportService.buildBreakdownDocument(data),
+  limit: analyticsRateLimit
+});
+
+/**
+ * GET /api/activity-breakdown/:courseId/classification
+ *
+ * Preview how every module in the course is classified (type + matching
+ * rule), including modules that no rule matches.
+ */
+router.get('/:courseId/classification', requireCourseAccess(), analyticsLimit, async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.params.courseId);
+
+    if (isNaN(courseId) || courseId <= 0) {
+      return sendError(res, 'Invalid course ID', 400);
+    }
+
+    const data = await activityBreakdownService.getCourseClassification(moodleToken, courseId);
+
+    sendSuccess(res, data, 'Activity classification retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to classify course activities', { error });
+    sendRouteError(res, error, 'Failed to classify course activities');
+  }
+});
+
+/**
+ * GET /api/activity-breakdown/:courseId/funnel
+ *
+ * Class-by-class drop-off: per class, how many learners completed every
+ * class so far (count, % of enrolled, % of the previous class) and where
+ * the largest drop-offs are. Built from the same completion sets as the
+ * class table, so `completed` matches its `eitherCompleted`.
+ *
+ * Query Parameters:
+ * - stoppedAt: class name or 1-based position (not the last class); lists learners who stopped there
+ * - top: number of largest drop-offs (default 3)
+ * - roles, groupId | groupName: learner filters
+ */
+router.get('/:courseId/funnel', requireCourseAccess(), analyticsLimit, async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.params.courseId);
+    const top = parseInt(req.query.top ?? 3);
+
+    if (isNaN(courseId) || courseId <= 0) {
+      return sendError(res, 'Invalid course ID', 400);
+    }
+    if (isNaN(top) || top < 1) {
+      return sendError(res, 'top must be a positive integer', 400);
+    }
+
+    const { roles, group } = filterOptions(req.query);
+    const data = await activityBreakdownService.getCourseFunnel(moodleToken, courseId, {
+      roles,
+      group,
+      stoppedAt: req.query.stoppedAt ?? null,
+      top
+    });
+
+    sendSuccess(res, data, 'Course funnel retrieved successfully');
+  } catch (error) {
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch course funnel', { error });
+    sendRouteError(res, error, 'Failed to fetch course funnel');
   }
 });
 
@@ -82,28 +204,40 @@ router.get('/', async (req, res) => {
  * GET /api/activity-breakdown/:courseId
  *
  * Returns class-wise breakdown for ONE specific course.
+ * Supports ?format=csv|xlsx|pdf like the all-courses endpoint.
  */
-router.get('/:courseId', async (req, res) => {
+router.get('/:courseId', requireCourseAccess(), analyticsLimit, async (req, res) => {
   try {
     const { moodleToken, userId } = req.user;
     const courseId = parseInt(req.params.courseId);
+    const { format = 'json' } = req.query;
 
     if (isNaN(courseId) || courseId <= 0) {
       return sendError(res, 'Invalid course ID', 400);
     }
 
-    console.log(`\n[API] Single Course Breakdown → courseId ${courseId}`);
+    if (!exportService.isValidFormat(format)) {
+      return sendError(res, `Invalid format. Use one of: ${exportService.FORMATS.join(', ')}`, 400);
+    }
+
+    logger.debug('Course breakdown requested', { courseId });
 
     const data = await activityBreakdownService.getSingleCourseCompletionBreakdown(
       moodleToken,
       courseId,
-      userId
+      userId,
+      filterOptions(req.query)
     );
 
+    if (format !== 'json') {
+      return await exportService.send(res, format, exportService.buildBreakdownDocument(data));
+    }
+
     sendSuccess(res, data, `Breakdown for "${data.courseName}" retrieved successfully`);
   } catch (error) {
-    console.error('[API ERROR] Single Course Breakdown:', error.message);
-    sendError(res, 'Failed to fetch course breakdown', 500, error.message);
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch course breakdown', { error });
+    sendRouteError(res, error, 'Failed to fetch course breakdown');
   }
 });
 
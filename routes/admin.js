@@ -0,0 +1,93 @@
+// routes/admin.js
+const express = require('express');
+const cacheService = require('../services/cacheService');
+const termService = require('../services/termService');
+const { sendSuccess, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'admin' });
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication + admin role check to all routes
+router.use(verifyToken, requireRole('admin'));
+
+/**
+ * GET /api/admin/cache
+ * Cache statistics and cached entries (metadata only)
+ *
+ * Query Parameters:
+ * - wsfunction: only entries for this Moodle function
+ * - scope: only entries for this token scope
+ * - limit: max entries to list (default 100)
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    const { wsfunction, scope } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const { total, entries } = await cacheService.inspect({ wsfunction, scope, limit });
+
+    sendSuccess(res, {
+      stats: cacheService.getStats(),
+      myScope: cacheService.scopeFor(req.user.moodleToken),
+      total,
+      entries
+    }, 'Cache entries retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to inspect cache', { error });
+    sendError(res, 'Failed to inspect cache', 500, error.message);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Purge cached entries (all, or filtered by wsfunction and/or scope)
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const { wsfunction, scope } = req.query;
+    const purged = await cacheService.purge({ wsfunction, scope });
+
+    sendSuccess(res, { purged }, `Purged ${purged} cache entries`);
+  } catch (error) {
+    logger.error('Failed to purge cache', { error });
+    sendError(res, 'Failed to purge cache', 500, error.message);
+  }
+});
+
+/**
+ * PUT /api/admin/terms/:id
+ * Create or replace a named academic term
+ *
+ * Body: { name, startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }
+ */
+router.put('/terms/:id', async (req, res) => {
+  try {
+    const term = await termService.save(req.params.id, req.body);
+
+    sendSuccess(res, term, `Term "${term.name}" saved`);
+  } catch (error) {
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to save term', { error });
+    sendError(res, 'Failed to save term', 500, error.message);
+  }
+});
+
+/**
+ * DELETE /api/admin/terms/:id
+ */
+router.delete('/terms/:id', async (req, res) => {
+  try {
+    const removed = await termService.remove(req.params.id);
+    if (!removed) {
+      return sendError(res, 'Term not found', 404);
+    }
+
+    sendSuccess(res, { id: req.params.id }, 'Term deleted');
+  } catch (error) {
+    logger.error('Failed to delete term', { error });
+    sendError(res, 'Failed to delete term', 500, error.message);
+  }
+});
+
+module.exports = router;
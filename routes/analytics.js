@@ -1,205 +1,325 @@
 // routes/analytics.js - MINIMAL FIX FOR UNIQUE USERS
 const express = require('express');
 const moodleService = require('../services/moodleService');
-const { sendSuccess, sendError } = require('../utils/responseHandler');
-const { verifyToken } = require('../middleware/auth');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'analytics' });
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter } = require('../utils/groupFilter');
+const { getDateRange, resolveRange, describeRange } = require('../utils/dateRange');
+const { dateKey, startOfDay, addDays, addMonths, eachDay } = require('../utils/timezone');
+const { resolveTimezone } = require('../middleware/timezone');
+const { analyticsLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
-router.use(verifyToken);
+router.use(verifyToken, requireRole('teacher'), resolveTimezone);
 
-/**
- * Helper: Get date range timestamps (UTC-safe)
- */
-function getDateRange(dateRange, fromDateStr, toDateStr) {
-  const now = new Date();
-  const today = new Date(Date.UTC(
-    now.getUTCFullYear(),
-    now.getUTCMonth(),
-    now.getUTCDate()
-  ));
-
-  switch (dateRange) {
-    case 'today':
-      return {
-        from: Math.floor(today.getTime() / 1000),
-        to: Math.floor(Date.now() / 1000)
-      };
+const COMPARE_MODES = ['previous', 'same_last_year', 'custom'];
 
-    case 'yesterday': {
-      const y = new Date(today);
-      y.setUTCDate(y.getUTCDate() - 1);
-      return {
-        from: Math.floor(y.getTime() / 1000),
-        to: Math.floor(today.getTime() / 1000)
-      };
-    }
-
-    case 'week': {
-      const w = new Date(today);
-      w.setUTCDate(w.getUTCDate() - 7);
-      return {
-        from: Math.floor(w.getTime() / 1000),
-        to: Math.floor(Date.now() / 1000)
-      };
-    }
-
-    case 'custom': {
-      if (!fromDateStr || !toDateStr) {
-        throw new Error('Custom range requires startDate and endDate');
-      }
-
-      const fromDate = new Date(`${fromDateStr}T00:00:00Z`);
-      const toDate = new Date(`${toDateStr}T23:59:59Z`);
-
-      if (isNaN(fromDate) || isNaN(toDate)) {
-        throw new Error('Invalid date format (YYYY-MM-DD)');
-      }
-
-      return {
-        from: Math.floor(fromDate.getTime() / 1000),
-        to: Math.floor(toDate.getTime() / 1000)
-      };
-    }
-
-    default:
-      return getDateRange('yesterday');
-  }
-}
+// Local calendar days a window touches (`to` is inclusive)
+const daysIn = range => Math.max(1, eachDay(range.from, range.to, range.timezone).length);
 
 /**
  * GET /api/analytics/dashboard
  * ✅ FIXED: Now correctly tracks total logins AND unique users
+ * ?roles=student,... limits login counts to those roles ('all' = everyone)
+ * ?groupId= / ?groupName= limits login counts to one course group (batch)
+ * ?compare=previous|same_last_year|custom adds `comparison`: the same
+ * overview and dailyActivity for the comparison window, deltas per metric
+ * and both daily series aligned by day offset (custom uses
+ * compareStartDate / compareEndDate)
+ * ?dateRange= takes any preset of utils/dateRange, e.g. last_n_days&days=30,
+ * this_month, last_month, quarter or term:<id>
+ * ?tz=Asia/Kolkata sets the timezone for day boundaries (default: Moodle
+ * profile timezone, then DEFAULT_TIMEZONE)
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', analyticsLimit, async (req, res) => {
   try {
     const { moodleToken, userId } = req.user;
 
-    const {
-      dateRange = 'yesterday',
-      from,
-      to,
-      startDate,
-      endDate
-    } = req.query;
+    const { compare, compareStartDate, compareEndDate } = req.query;
 
-    // ✅ Support both frontend & backend param names
-    const finalFrom = from || startDate;
-    const finalTo = to || endDate;
+    const roles = parseRoles(req.query.roles);
+    const group = parseGroupFilter(req.query);
 
-    const range = getDateRange(dateRange, finalFrom, finalTo);
-
-    // 1️⃣ Get user courses
-    const courses = await moodleService.getUserCourses(moodleToken, userId);
-
-    // 2️⃣ ✅ FIXED: Get REAL login data (not course access)
-    let totalLogins = 0;
-    let uniqueUsers = 0;
-    
-    try {
-      const loginLogs = await moodleService.getLoginLogs(
-        moodleToken,
-        range.from,
-        range.to
-      );
-      
-      // ✅ Total login events (including repeated logins)
-      totalLogins = loginLogs.length;
-      
-      // ✅ Unique users (deduplicated)
-      uniqueUsers = new Set(loginLogs.map(l => l.userid)).size;
-      
-      console.log(`[ANALYTICS] Total Logins: ${totalLogins}, Unique Users: ${uniqueUsers}`);
-      
-    } catch (error) {
-      console.warn('[ANALYTICS] Login logs unavailable:', error.message);
-      totalLogins = 0;
-      uniqueUsers = 0;
+    if (compare && !COMPARE_MODES.includes(compare)) {
+      return sendError(res, `Invalid compare. Use one of: ${COMPARE_MODES.join(', ')}`, 400);
     }
 
-    // 3️⃣ REAL Enrollments
-    let enrollments = [];
-    try {
-      enrollments = await moodleService.getUserEnrollments(
-        moodleToken,
-        userId
-      );
-    } catch {
-      enrollments = courses.map(c => ({ timecreated: c.timecreated }));
+    const timeZone = req.timezone.name;
+    // ✅ Support both frontend (from / to) & backend (startDate / endDate) param names
+    const { type: dateRange, range } = resolveRange(req.query, timeZone);
+
+    let compareRange = null;
+    if (compare) {
+      try {
+        compareRange = getCompareRange(compare, range, compareStartDate, compareEndDate);
+      } catch (err) {
+        return sendError(res, err.message, 400);
+      }
     }
 
-    const newEnrollments = enrollments.filter(e =>
-      e.timecreated >= range.from && e.timecreated <= range.to
-    ).length;
-
-    // 4️⃣ Completion Rate
-    const completionResults = await Promise.all(
-      courses.map(c =>
-        moodleService
-          .getCourseCompletion(moodleToken, c.id, userId)
-          .catch(() => null)
-      )
-    );
+    // 1️⃣ Get user courses
+    const courses = await moodleService.getUserCourses(moodleToken, userId);
 
-    const completedCourses = completionResults.filter(
-      c => c?.completionstatus?.completed
-    ).length;
+    const current = await getOverview(moodleToken, userId, courses, range, { roles, group });
 
-    const completionRate = courses.length
-      ? Math.round((completedCourses / courses.length) * 100)
-      : 0;
+    let comparison;
+    if (compareRange) {
+      const previous = await getOverview(moodleToken, userId, courses, compareRange, {
+        roles,
+        group,
+        completionAsOf: compareRange.to
+      });
 
-    // 5️⃣ Daily Activity
-    const dailyActivity = await getDailyActivity(
-      moodleToken,
-      userId,
-      courses,
-      range.from,
-      range.to
-    );
+      comparison = {
+        mode: compare,
+        dateRange: describeRange(compare, compareRange),
+        overview: previous.overview,
+        dailyActivity: previous.dailyActivity,
+        deltas: getDeltas(current.overview, previous.overview),
+        aligned: alignSeries(current.dailyActivity, range, previous.dailyActivity, compareRange)
+      };
+    }
 
     // ✅ FIXED RESPONSE
     sendSuccess(res, {
-      overview: {
-        totalLogins,      // ✅ Total login events
-        uniqueUsers,      // ✅ Unique users
-        newEnrollments,
-        completionRate
-      },
-      dailyActivity,
+      overview: current.overview,
+      dailyActivity: current.dailyActivity,
+      loginSource: current.loginSource,
+      roleFilter: current.roleFilter,
+      groupFilter: group,
       courses: courses.map((c, i) => ({
         id: c.id,
         name: c.fullname,
         progress: c.progress || 0,
-        completed: completionResults[i]?.completionstatus?.completed || false,
+        completed: current.completionResults[i]?.completionstatus?.completed || false,
         enrolledDate: c.timecreated
       })),
-      dateRange: {
-        type: dateRange,
-        from: range.from,
-        to: range.to,
-        fromDate: new Date(range.from * 1000).toISOString().split('T')[0],
-        toDate: new Date(range.to * 1000).toISOString().split('T')[0]
-      }
+      dateRange: { ...describeRange(dateRange, range), timezoneSource: req.timezone.source },
+      comparison,
+      warnings: getWarnings()
     }, 'Dashboard data retrieved successfully');
 
   } catch (error) {
-    console.error('[DASHBOARD ERROR]', error.message);
-    sendError(res, 'Failed to load dashboard', 500, error.message);
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to load dashboard', { error });
+    sendRouteError(res, error, 'Failed to load dashboard');
   }
 });
 
+/**
+ * Helper: overview + dailyActivity for one window.
+ * completionAsOf counts only courses completed by that time (used for
+ * comparison windows; the current window uses today's completion state).
+ */
+async function getOverview(moodleToken, userId, courses, range, { roles, group, completionAsOf = null }) {
+  // 2️⃣ Login events (log store when configured, lastaccess proxy otherwise)
+  let loginLogs = [];
+  let loginSource = 'none';
+  let roleFilter = { roles, excluded: { total: 0, byRole: {} } };
+  let totalLogins = 0;
+  let uniqueUsers = 0;
+
+  try {
+    const history = await moodleService.getLoginHistory(
+      moodleToken,
+      range.from,
+      range.to,
+      { roles, group }
+    );
+    loginLogs = history.events;
+    loginSource = history.source;
+    roleFilter = history.roleFilter;
+
+    // ✅ Total login events (including repeated logins)
+    totalLogins = loginLogs.length;
+
+    // ✅ Unique users (deduplicated)
+    uniqueUsers = new Set(loginLogs.map(l => l.userid)).size;
+
+    logger.debug('Login totals', { totalLogins, uniqueUsers, source: loginSource });
+
+  } catch (error) {
+    logger.warn('Login logs unavailable', { error });
+    totalLogins = 0;
+    uniqueUsers = 0;
+  }
+
+  // 3️⃣ REAL Enrollments
+  let enrollments = [];
+  try {
+    enrollments = await moodleService.getUserEnrollments(
+      moodleToken,
+      userId
+    );
+  } catch {
+    enrollments = courses.map(c => ({ timecreated: c.timecreated }));
+  }
+
+  const newEnrollments = enrollments.filter(e =>
+    e.timecreated >= range.from && e.timecreated <= range.to
+  ).length;
+
+  // 4️⃣ Completion Rate
+  const completionResults = await Promise.all(
+    courses.map(c =>
+      moodleService
+        .getCourseCompletion(moodleToken, c.id, userId)
+        .catch(err => skipCompletion(c.id, err))
+    )
+  );
+
+  const completedCourses = completionResults.filter(c => {
+    const status = c?.completionstatus;
+    if (!status?.completed) return false;
+    return !completionAsOf || !status.timecompleted || status.timecompleted <= completionAsOf;
+  }).length;
+
+  const completionRate = courses.length
+    ? Math.round((completedCourses / courses.length) * 100)
+    : 0;
+
+  // 5️⃣ Daily Activity
+  const dailyActivity = await getDailyActivity(
+    moodleToken,
+    userId,
+    courses,
+    loginLogs,
+    range
+  );
+
+  return {
+    overview: {
+      totalLogins,      // ✅ Total login events
+      uniqueUsers,      // ✅ Unique users
+      newEnrollments,
+      completionRate
+    },
+    dailyActivity,
+    loginSource,
+    roleFilter,
+    completionResults
+  };
+}
+
+/**
+ * Helper: comparison window for ?compare=
+ */
+function getCompareRange(mode, range, compareStartDate, compareEndDate) {
+  const timeZone = range.timezone;
+
+  // The same number of whole local days, ending right before the range starts
+  if (mode === 'previous') {
+    const start = addDays(dateKey(range.from, timeZone), -daysIn(range));
+    return { from: startOfDay(start, timeZone), to: range.from - 1, timezone: timeZone };
+  }
+
+  // Same local date and time of day one year earlier
+  if (mode === 'same_last_year') {
+    const shift = ts => {
+      const key = dateKey(ts, timeZone);
+      return startOfDay(addMonths(key, -12), timeZone) + (ts - startOfDay(key, timeZone));
+    };
+    return { from: shift(range.from), to: shift(range.to), timezone: timeZone };
+  }
+
+  if (!compareStartDate || !compareEndDate) {
+    throw new Error('compare=custom requires compareStartDate and compareEndDate');
+  }
+  return getDateRange('custom', compareStartDate, compareEndDate, timeZone);
+}
+
+/**
+ * Helper: absolute and percentage change per overview metric
+ */
+function getDeltas(current, previous) {
+  return Object.fromEntries(Object.keys(current).map(metric => {
+    const change = current[metric] - previous[metric];
+    return [metric, {
+      current: current[metric],
+      previous: previous[metric],
+      change,
+      changePercent: previous[metric]
+        ? Math.round((change / previous[metric]) * 1000) / 10
+        : null
+    }];
+  }));
+}
+
+/**
+ * Helper: both daily series on one axis of day offsets from each window's
+ * start, with empty days filled in, so they can be overlaid
+ */
+function alignSeries(currentSeries, currentRange, previousSeries, previousRange) {
+  const empty = { logins: 0, activeUsers: 0, enrollments: 0, completions: 0 };
+  const days = daysIn;
+  const dateAt = (r, offset) => addDays(dateKey(r.from, r.timezone), offset);
+  const byDate = series => new Map(series.map(d => [d.date, d]));
+
+  const currentByDate = byDate(currentSeries);
+  const previousByDate = byDate(previousSeries);
+  const length = Math.max(days(currentRange), days(previousRange));
+
+  return Array.from({ length }, (_, offset) => {
+    const pick = (map, r) => {
+      if (offset >= days(r)) return null;
+      const date = dateAt(r, offset);
+      return { ...empty, ...map.get(date), date };
+    };
+
+    return {
+      offset,
+      current: pick(currentByDate, currentRange),
+      comparison: pick(previousByDate, previousRange)
+    };
+  });
+}
+
+/**
+ * Helper: record a failed completion lookup and continue without it
+ */
+function skipCompletion(courseId, err) {
+  addWarning({
+    type: 'skipped',
+    call: 'core_completion_get_course_completion_status',
+    target: { courseId },
+    reason: err.message
+  });
+  return null;
+}
+
 /**
  * Helper: Daily Activity
+ * logins / activeUsers are counted per day from the login events
  */
-async function getDailyActivity(moodleToken, userId, courses, from, to) {
+async function getDailyActivity(moodleToken, userId, courses, loginLogs, range) {
+  const { from, to, timezone } = range;
   const activity = {};
+  const activeByDay = {};
+
+  const ensureDay = d => {
+    activity[d] ??= { logins: 0, enrollments: 0, completions: 0, activeUsers: 0 };
+  };
+
+  loginLogs.forEach(l => {
+    if (l.timecreated < from || l.timecreated > to) return;
+    const d = dateKey(l.timecreated, timezone);
+    ensureDay(d);
+    activity[d].logins++;
+    (activeByDay[d] ??= new Set()).add(l.userid);
+  });
+
+  Object.entries(activeByDay).forEach(([d, users]) => {
+    activity[d].activeUsers = users.size;
+  });
 
   courses.forEach(c => {
     if (c.timecreated >= from && c.timecreated <= to) {
-      const d = new Date(c.timecreated * 1000).toISOString().split('T')[0];
-      activity[d] ??= { enrollments: 0, completions: 0, activeUsers: 0 };
+      const d = dateKey(c.timecreated, timezone);
+      ensureDay(d);
       activity[d].enrollments++;
-      activity[d].activeUsers = 1;
     }
   });
 
@@ -207,25 +327,28 @@ async function getDailyActivity(moodleToken, userId, courses, from, to) {
     courses.map(c =>
       moodleService
         .getCourseCompletion(moodleToken, c.id, userId)
-        .catch(() => null)
+        .catch(err => skipCompletion(c.id, err))
     )
   );
 
   completions.forEach(c => {
     const t = c?.completionstatus?.timecompleted;
     if (t && t >= from && t <= to) {
-      const d = new Date(t * 1000).toISOString().split('T')[0];
-      activity[d] ??= { enrollments: 0, completions: 0, activeUsers: 0 };
+      const d = dateKey(t, timezone);
+      ensureDay(d);
       activity[d].completions++;
     }
   });
 
-  return Object.entries(activity).map(([date, v]) => ({
-    date,
-    activeUsers: v.activeUsers,
-    enrollments: v.enrollments,
-    completions: v.completions
-  }));
+  return Object.entries(activity)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, v]) => ({
+      date,
+      logins: v.logins,
+      activeUsers: v.activeUsers,
+      enrollments: v.enrollments,
+      completions: v.completions
+    }));
 }
 
 module.exports = router;
\ No newline at end of file
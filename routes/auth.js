@@ -1,17 +1,26 @@
 // routes/auth.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const moodleService = require('../services/moodleService');
+const accessService = require('../services/accessService');
+const sessionService = require('../services/sessionService');
+const rateLimitService = require('../services/rateLimitService');
 const config = require('../config/moodle');
-const { sendSuccess, sendError } = require('../utils/responseHandler');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'auth' });
+const { MoodleLoginError } = require('../utils/moodleErrors');
+const { verifyToken } = require('../middleware/auth');
+const { loginRateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
 /**
  * POST /api/auth/login
- * Login with Moodle credentials
+ * Login with Moodle credentials. Returns a short-lived access token (JWT
+ * holding only the session id) and a refresh token for POST /refresh.
+ * Attempts are rate limited per IP and per username; repeated wrong
+ * passwords lock the username for a growing period (429 with Retry-After).
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginRateLimit, async (req, res) => {
   try {
     const { username, password } = req.body;
 
@@ -20,104 +29,136 @@ router.post('/login', async (req, res) => {
       return sendError(res, 'Username and password are required', 400);
     }
 
-    console.log(`[LOGIN] Attempting login for user: ${username}`);
+    logger.info('Login attempt', { username, ip: req.ip });
 
     // Step 1: Get Moodle token
     const moodleToken = await moodleService.getMoodleToken(username, password);
-    console.log(`[LOGIN] Moodle token received for user: ${username}`);
+    await rateLimitService.recordLoginSuccess(username)
+      .catch(err => logger.error('Could not clear login failures', { error: err }));
 
     // Step 2: Get user info from Moodle
     const userInfo = await moodleService.getSiteInfo(moodleToken);
-    console.log(`[LOGIN] User info received: ${userInfo.fullname}`);
-
-    // Step 3: Create JWT token
-    const jwtToken = jwt.sign(
-      {
-        userId: userInfo.userid,
-        username: userInfo.username,
-        moodleToken: moodleToken
-      },
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiry }
-    );
-
-    // Step 4: Send response
+    logger.debug('User info received', { userId: userInfo.userid });
+
+    // Step 3: Resolve the user's role (changes apply at the next login)
+    const access = await accessService.resolveAccess(moodleToken, userInfo);
+    logger.info('Role resolved', { username, role: access.role, source: access.source });
+
+    // Step 4: Server-side session; the Moodle token stays on the server
+    const session = await sessionService.create({
+      userId: userInfo.userid,
+      username: userInfo.username,
+      moodleToken,
+      role: access.role,
+      teachingCourseIds: access.teachingCourseIds
+    }, { ip: req.ip, userAgent: req.headers['user-agent'] || null });
+
+    // Step 5: Send response
     sendSuccess(
       res,
       {
-        token: jwtToken,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: config.jwtExpiry,
+        sessionExpiresAt: session.expiresAt,
         user: {
           id: userInfo.userid,
           username: userInfo.username,
           fullname: userInfo.fullname,
           email: userInfo.email,
           firstname: userInfo.firstname,
-          lastname: userInfo.lastname
+          lastname: userInfo.lastname,
+          role: access.role,
+          teachingCourseIds: access.teachingCourseIds
         }
       },
       'Login successful',
       200
     );
 
-    console.log(`[LOGIN] Login successful for user: ${username}`);
+    logger.info('Login successful', { username, userId: userInfo.userid });
   } catch (error) {
-    console.error(`[LOGIN ERROR] ${error.message}`);
+    logger.warn('Login failed', { username: req.body.username, ip: req.ip, error });
 
-    // Handle specific error types
-    if (error.message.includes('invalidlogin')) {
-      return sendError(res, 'Invalid username or password', 401);
+    // Wrong credentials count towards the lockout
+    if (error instanceof MoodleLoginError) {
+      await rateLimitService.recordLoginFailure(req.body.username, req.ip)
+        .catch(err => logger.error('Could not record login failure', { error: err }));
     }
 
-    if (error.message.includes('connect')) {
-      return sendError(
-        res,
-        'Cannot connect to Moodle server. Please check configuration.',
-        503
-      );
-    }
+    // 401 INVALID_CREDENTIALS, 503 MOODLE_UNAVAILABLE, 504 MOODLE_TIMEOUT, ...
+    sendRouteError(res, error, 'Login failed');
+  }
+});
 
-    sendError(res, 'Login failed', 500, error.message);
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Returns a new access token and a new refresh token; the old refresh token
+ * stops working. Reusing it revokes the session.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await sessionService.refresh(req.body?.refreshToken);
+
+    sendSuccess(res, {
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: config.jwtExpiry,
+      sessionExpiresAt: result.expiresAt
+    }, 'Token refreshed');
+  } catch (error) {
+    if (error.status === 401) {
+      return sendError(res, error.message, 401, null, { code: 'SESSION_EXPIRED', relogin: true });
+    }
+    logger.error('Token refresh failed', { error });
+    sendError(res, 'Token refresh failed', 500, error.message);
   }
 });
 
 /**
  * POST /api/auth/logout
- * Logout (client-side token removal)
+ * Revoke the current session (its access and refresh tokens stop working)
  */
-router.post('/logout', (req, res) => {
-  sendSuccess(res, null, 'Logout successful');
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await sessionService.revoke(req.user.sessionId);
+    sendSuccess(res, null, 'Logout successful');
+  } catch (error) {
+    logger.error('Logout failed', { error });
+    sendError(res, 'Logout failed', 500, error.message);
+  }
 });
 
 /**
- * GET /api/auth/verify
- * Verify JWT token validity
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user, on all devices
  */
-router.get('/verify', (req, res) => {
+router.post('/logout-all', verifyToken, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return sendError(res, 'No token provided', 401);
-    }
-
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, config.jwtSecret);
-
-    sendSuccess(
-      res,
-      {
-        valid: true,
-        userId: decoded.userId,
-        username: decoded.username
-      },
-      'Token is valid'
-    );
+    const revoked = await sessionService.revokeAll(req.user.userId);
+    sendSuccess(res, { revoked }, `Logged out of ${revoked} sessions`);
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return sendError(res, 'Token expired', 401);
-    }
-    sendError(res, 'Invalid token', 401);
+    logger.error('Logout failed', { error });
+    sendError(res, 'Logout failed', 500, error.message);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/auth/verify
+ * Verify the access token and that its session has not been revoked
+ */
+router.get('/verify', verifyToken, (req, res) => {
+  sendSuccess(
+    res,
+    {
+      valid: true,
+      userId: req.user.userId,
+      username: req.user.username,
+      role: req.user.role
+    },
+    'Token is valid'
+  );
+});
+
+module.exports = router;
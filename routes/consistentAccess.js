@@ -1,44 +1,72 @@
 // routes/consistentAccess.js
 const express = require('express');
 const consistentAccessService = require('../services/consistentAccessService');
-const { sendSuccess, sendError } = require('../utils/responseHandler');
-const { verifyToken } = require('../middleware/auth');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'consistent-access' });
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { resolveTimezone } = require('../middleware/timezone');
+const { analyticsLimit } = require('../middleware/rateLimit');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter } = require('../utils/groupFilter');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyToken);
+const SOURCES = ['auto', 'logstore', 'snapshots', 'enrolment'];
+
+// Apply authentication + teacher role check to all routes
+router.use(verifyToken, requireRole('teacher'), resolveTimezone);
 
 /**
  * GET /api/consistent-access
  * 
  * Query Parameters:
- * - dateRange: 'today' | 'yesterday' | 'week' | 'month' | 'custom'
+ * - dateRange: 'today' | 'yesterday' | 'week' | 'month' | 'last_n_days' |
+ *              'this_month' | 'last_month' | 'quarter' | 'custom' | 'term:<id>'
  * - startDate: 'YYYY-MM-DD' (required for custom)
  * - endDate: 'YYYY-MM-DD' (required for custom)
+ * - days: N for last_n_days (default 30)
+ * - source: 'auto' | 'logstore' | 'snapshots' | 'enrolment' (default: auto)
+ * - roles: learner role shortnames, comma separated (default from config,
+ *          'all' = every enrolled user)
+ * - groupId | groupName: only members of that course group (batch)
+ * - tz: IANA timezone for day boundaries (default: Moodle profile
+ *       timezone, then DEFAULT_TIMEZONE)
  * 
- * Returns: Users who logged in continuously in the date range
+ * Returns: Users who logged in continuously in the date range, plus the
+ * dataSource used and its coverage of the requested window
  */
-router.get('/', async (req, res) => {
+router.get('/', analyticsLimit, async (req, res) => {
   try {
     const { moodleToken, userId } = req.user;
-    const { dateRange = 'yesterday', startDate, endDate } = req.query;
+    const { dateRange = 'yesterday', startDate, endDate, source = 'auto' } = req.query;
+
+    if (!SOURCES.includes(source)) {
+      return sendError(res, `Invalid source. Use one of: ${SOURCES.join(', ')}`, 400);
+    }
 
-    console.log(`[CONSISTENT ACCESS] Fetching for range: ${dateRange}`);
+    logger.debug('Consistent access requested', { dateRange, source });
 
     const data = await consistentAccessService.getConsistentAccessData(
       moodleToken,
       userId,
       dateRange,
       startDate,
-      endDate
+      endDate,
+      {
+        source,
+        roles: parseRoles(req.query.roles),
+        group: parseGroupFilter(req.query),
+        timezone: req.timezone.name,
+        days: req.query.days
+      }
     );
 
     sendSuccess(res, data, 'Consistent access data retrieved successfully');
 
   } catch (error) {
-    console.error('[CONSISTENT ACCESS ERROR]', error.message);
-    sendError(res, 'Failed to fetch consistent access data', 500, error.message);
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch consistent access data', { error });
+    sendRouteError(res, error, 'Failed to fetch consistent access data');
   }
 });
 
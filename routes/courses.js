@@ -1,13 +1,15 @@
 // routes/courses.js
 const express = require('express');
 const moodleService = require('../services/moodleService');
-const { sendSuccess, sendError } = require('../utils/responseHandler');
-const { verifyToken } = require('../middleware/auth');
+const studentService = require('../services/studentService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'courses' });
+const { verifyToken, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyToken);
+// Apply authentication middleware to all routes (students see their own data)
+router.use(verifyToken, requireRole('student'));
 
 /**
  * GET /api/courses
@@ -17,7 +19,7 @@ router.get('/', async (req, res) => {
   try {
     const { moodleToken, userId } = req.user;
 
-    console.log(`[COURSES] Fetching courses for user ID: ${userId}`);
+    logger.debug('Fetching courses', { userId });
 
     // Fetch user's courses from Moodle
     const courses = await moodleService.getUserCourses(moodleToken, userId);
@@ -44,10 +46,7 @@ router.get('/', async (req, res) => {
             timemodified: course.timemodified
           };
         } catch (error) {
-          console.error(
-            `[COURSES] Error getting completion for course ${course.id}:`,
-            error.message
-          );
+          logger.error('Course completion unavailable', { courseId: course.id, error });
           // Return course without completion data
           return {
             id: course.id,
@@ -64,12 +63,12 @@ router.get('/', async (req, res) => {
       })
     );
 
-    console.log(`[COURSES] Found ${coursesWithCompletion.length} courses`);
+    logger.debug('Courses found', { courses: coursesWithCompletion.length });
 
     sendSuccess(res, { courses: coursesWithCompletion }, 'Courses retrieved successfully');
   } catch (error) {
-    console.error('[COURSES ERROR]', error.message);
-    sendError(res, 'Failed to fetch courses', 500, error.message);
+    logger.error('Failed to fetch courses', { error });
+    sendRouteError(res, error, 'Failed to fetch courses');
   }
 });
 
@@ -82,7 +81,7 @@ router.get('/:id', async (req, res) => {
     const { moodleToken, userId } = req.user;
     const courseId = req.params.id;
 
-    console.log(`[COURSE DETAILS] Fetching course ${courseId} for user ${userId}`);
+    logger.debug('Fetching course details', { courseId, userId });
 
     // Fetch course data in parallel
     const [completion, activities, contents] = await Promise.all([
@@ -102,8 +101,8 @@ router.get('/:id', async (req, res) => {
       'Course details retrieved successfully'
     );
   } catch (error) {
-    console.error('[COURSE DETAILS ERROR]', error.message);
-    sendError(res, 'Failed to fetch course details', 500, error.message);
+    logger.error('Failed to fetch course details', { error });
+    sendRouteError(res, error, 'Failed to fetch course details');
   }
 });
 
@@ -124,8 +123,32 @@ router.get('/:id/completion', async (req, res) => {
 
     sendSuccess(res, { activities }, 'Course completion retrieved successfully');
   } catch (error) {
-    console.error('[COURSE COMPLETION ERROR]', error.message);
-    sendError(res, 'Failed to fetch course completion', 500, error.message);
+    logger.error('Failed to fetch course completion', { error });
+    sendRouteError(res, error, 'Failed to fetch course completion');
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/students/:id
+ * Drill-down for one student in one course (same shape as one entry of
+ * GET /api/students/:id)
+ */
+router.get('/:courseId/students/:id', async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.params.courseId);
+    const studentId = parseInt(req.params.id);
+
+    if (isNaN(courseId) || courseId <= 0 || isNaN(studentId) || studentId <= 0) {
+      return sendError(res, 'Invalid course or student ID', 400);
+    }
+
+    const data = await studentService.getStudentInCourse(moodleToken, req.user, courseId, studentId);
+
+    sendSuccess(res, data, 'Student course details retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to fetch student course details', { error });
+    sendRouteError(res, error, 'Failed to fetch student course details');
   }
 });
 
@@ -0,0 +1,67 @@
+// routes/forums.js
+const express = require('express');
+const forumService = require('../services/forumService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'forums' });
+const { verifyToken, requireRole, requireCourseAccess } = require('../middleware/auth');
+const { analyticsLimit } = require('../middleware/rateLimit');
+const { resolveTimezone } = require('../middleware/timezone');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter } = require('../utils/groupFilter');
+const { resolveRange, describeRange } = require('../utils/dateRange');
+
+const router = express.Router();
+router.use(verifyToken, requireRole('teacher'), resolveTimezone);
+
+/**
+ * GET /api/forums/:courseId
+ *
+ * Forum engagement for one course: discussions started and replies posted
+ * per forum in the date range, the most active learners, unanswered
+ * discussions older than N days and the share of learners who posted.
+ *
+ * Query Parameters:
+ * - dateRange: any dashboard preset (default 'week'), e.g. this_month or term:<id>
+ * - startDate / endDate (or from / to): 'YYYY-MM-DD' for custom
+ * - days: N for last_n_days
+ * - unansweredDays: age in days before a discussion without replies is listed (default 7)
+ * - top: number of participants listed (default 10)
+ * - roles, groupId | groupName: learner filters
+ * - tz: IANA timezone for day boundaries (same as the dashboard)
+ */
+router.get('/:courseId', requireCourseAccess(), analyticsLimit, async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.params.courseId);
+    const { unansweredDays = '7', top = '10' } = req.query;
+
+    if (isNaN(courseId) || courseId <= 0) {
+      return sendError(res, 'Invalid course ID', 400);
+    }
+
+    const days = parseInt(unansweredDays);
+    const topCount = parseInt(top);
+    if (isNaN(days) || days < 0 || isNaN(topCount) || topCount < 1) {
+      return sendError(res, 'unansweredDays and top must be positive integers', 400);
+    }
+
+    const { type: dateRange, range } = resolveRange(req.query, req.timezone.name, 'week');
+
+    logger.debug('Forum engagement requested', { courseId, dateRange });
+
+    const data = await forumService.getForumEngagement(moodleToken, courseId, range, {
+      roles: parseRoles(req.query.roles),
+      group: parseGroupFilter(req.query),
+      unansweredDays: days,
+      top: topCount
+    });
+
+    sendSuccess(res, { dateRange: describeRange(dateRange, range), ...data }, 'Forum engagement retrieved successfully');
+  } catch (error) {
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch forum engagement', { error });
+    sendRouteError(res, error, 'Failed to fetch forum engagement');
+  }
+});
+
+module.exports = router;
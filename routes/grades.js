@@ -0,0 +1,70 @@
+// routes/grades.js
+const express = require('express');
+const gradeService = require('../services/gradeService');
+const exportService = require('../services/exportService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'grades' });
+const { verifyToken, requireRole, requireCourseAccess } = require('../middleware/auth');
+const { analyticsLimit } = require('../middleware/rateLimit');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter } = require('../utils/groupFilter');
+const { parseBins } = require('../utils/stats');
+
+const router = express.Router();
+router.use(verifyToken, requireRole('teacher'));
+
+/**
+ * GET /api/grades/:courseId
+ *
+ * Per grade item and for the course total: histogram, mean / median /
+ * stddev, pass rate against the item's gradepass, plus the items with the
+ * largest spread and a per-student grade table.
+ *
+ * Query Parameters:
+ * - bins: number of equal bins over 0–100% (default 10) or edges, e.g. '0,40,60,80,100'
+ * - top: number of items listed under largestSpread (default 5)
+ * - roles: learner role shortnames (default from config, 'all' = everyone)
+ * - groupId | groupName: only members of that course group
+ * - format: 'json' | 'csv' | 'xlsx' | 'pdf' — exports the per-student table
+ */
+router.get('/:courseId', requireCourseAccess(), analyticsLimit, async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.params.courseId);
+    const { format = 'json', top = '5' } = req.query;
+
+    if (isNaN(courseId) || courseId <= 0) {
+      return sendError(res, 'Invalid course ID', 400);
+    }
+
+    if (!exportService.isValidFormat(format)) {
+      return sendError(res, `Invalid format. Use one of: ${exportService.FORMATS.join(', ')}`, 400);
+    }
+
+    const topCount = parseInt(top);
+    if (isNaN(topCount) || topCount < 1) {
+      return sendError(res, 'top must be a positive integer', 400);
+    }
+
+    logger.debug('Grade analytics requested', { courseId });
+
+    const data = await gradeService.getGradeAnalytics(moodleToken, courseId, {
+      roles: parseRoles(req.query.roles),
+      group: parseGroupFilter(req.query),
+      edges: parseBins(req.query.bins),
+      top: topCount
+    });
+
+    if (format !== 'json') {
+      return await exportService.send(res, format, exportService.buildGradesDocument(data));
+    }
+
+    sendSuccess(res, data, 'Grade analytics retrieved successfully');
+  } catch (error) {
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch grade analytics', { error });
+    sendRouteError(res, error, 'Failed to fetch grade analytics');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// routes/insights.js
+const express = require('express');
+const config = require('../config/moodle');
+const insightsService = require('../services/insightsService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'insights' });
+const { verifyToken, requireRole, requireCourseAccess } = require('../middleware/auth');
+const { analyticsLimit } = require('../middleware/rateLimit');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter } = require('../utils/groupFilter');
+
+const router = express.Router();
+router.use(verifyToken, requireRole('teacher'));
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Threshold overrides: ?inactiveDays=21&classesBehind=3 ...
+ */
+const parseThresholds = (query) => {
+  const thresholds = {};
+  Object.keys(config.atRisk.thresholds).forEach(name => {
+    if (query[name] === undefined) return;
+    const value = Number(query[name]);
+    if (Number.isNaN(value) || value < 0) throw badRequest(`${name} must be a non-negative number`);
+    thresholds[name] = value;
+  });
+  return thresholds;
+};
+
+/**
+ * Weight overrides: ?weights=inactivity:0.5,quizzes:0
+ */
+const parseWeights = (value) => {
+  if (!value) return {};
+
+  const weights = {};
+  String(value).split(',').forEach(pair => {
+    const [name, raw] = pair.split(':').map(p => p.trim());
+    const weight = Number(raw);
+    if (!(name in config.atRisk.weights) || Number.isNaN(weight) || weight < 0) {
+      throw badRequest(`Invalid weight "${pair}". Signals: ${Object.keys(config.atRisk.weights).join(', ')}`);
+    }
+    weights[name] = weight;
+  });
+  return weights;
+};
+
+/**
+ * GET /api/insights/at-risk
+ *
+ * Scores every learner of a course from days since lastaccess, classes
+ * behind the course median (video/PDF), grade items below gradepass and
+ * unfinished quiz attempts. Flagged learners come with the reasons that
+ * triggered the flag.
+ *
+ * Query Parameters:
+ * - courseId (required)
+ * - inactiveDays, classesBehind, gradesBelowPass, unfinishedQuizzes: threshold overrides
+ * - weights: 'inactivity:0.5,classesBehind:0.3,grades:0.1,quizzes:0.1'
+ * - sort: 'score' | 'daysSinceAccess' | 'classesBehind' | 'name' (default score)
+ * - order: 'asc' | 'desc' (default desc)
+ * - all: 'true' to include learners that are not flagged
+ * - roles, groupId | groupName: learner filters
+ */
+router.get('/at-risk', requireCourseAccess(req => req.query.courseId), analyticsLimit, async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.query.courseId);
+    const { sort = 'score', order = 'desc', all } = req.query;
+
+    if (isNaN(courseId) || courseId <= 0) {
+      return sendError(res, 'courseId is required', 400);
+    }
+    if (!insightsService.SORTS.includes(sort)) {
+      return sendError(res, `Invalid sort. Use one of: ${insightsService.SORTS.join(', ')}`, 400);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return sendError(res, 'Invalid order. Use asc or desc', 400);
+    }
+
+    logger.debug('At-risk learners requested', { courseId });
+
+    const data = await insightsService.getAtRisk(moodleToken, courseId, {
+      roles: parseRoles(req.query.roles),
+      group: parseGroupFilter(req.query),
+      thresholds: parseThresholds(req.query),
+      weights: parseWeights(req.query.weights),
+      all: all === 'true',
+      sort,
+      order
+    });
+
+    sendSuccess(res, data, 'At-risk learners retrieved successfully');
+  } catch (error) {
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to compute at-risk learners', { error });
+    sendRouteError(res, error, 'Failed to compute at-risk learners');
+  }
+});
+
+module.exports = router;
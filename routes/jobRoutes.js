@@ -0,0 +1,115 @@
+// routes/jobRoutes.js
+// Shared endpoints for background jobs (mounted by reports, activity breakdown)
+const jobService = require('../services/jobService');
+const exportService = require('../services/exportService');
+const { sendSuccess, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'jobs' });
+const { getCourseScope, getRequestId } = require('../utils/requestContext');
+
+/**
+ * Mount POST /jobs, GET /jobs, GET /jobs/:id, GET /jobs/:id/result and
+ * DELETE /jobs/:id on a router that already applies verifyToken and requireRole.
+ *
+ * options:
+ * - type:        job type name
+ * - basePath:    public path of the jobs collection (for links)
+ * - buildParams: (req) → params; throw an error with status 400 to reject
+ * - run:         (user, params, job) → Promise<result>
+ * - toDocument:  (result) → export document, enables ?format= on /result
+ * - limit:       middleware applied to POST /jobs only (e.g. a rate limit)
+ */
+const mountJobRoutes = (router, { type, basePath, buildParams, run, toDocument, limit = [] }) => {
+
+  const links = job => ({
+    status: `${basePath}/${job.id}`,
+    result: `${basePath}/${job.id}/result`
+  });
+
+  // Only the owner can see or cancel a job
+  const findOwnJob = (req, res) => {
+    const job = jobService.getJob(req.params.id);
+    if (!job || job.type !== type || job.ownerId !== req.user.userId) {
+      sendError(res, 'Job not found', 404);
+      return null;
+    }
+    return job;
+  };
+
+  router.post('/jobs', limit, (req, res) => {
+    try {
+      const params = buildParams(req);
+      const user = { ...req.user };
+
+      // Jobs keep the course scope and request id of the request that queued them
+      const job = jobService.createJob(type, user.userId, params, job => run(user, params, job), {
+        courseScope: getCourseScope(),
+        requestId: getRequestId()
+      });
+
+      sendSuccess(res, { ...job.toJSON(), links: links(job) }, 'Job queued', 202);
+    } catch (error) {
+      if (error.status === 400) {
+        return sendError(res, error.message, 400);
+      }
+      logger.error('Failed to create job', { type, error });
+      sendError(res, 'Failed to create job', 500, error.message);
+    }
+  });
+
+  router.get('/jobs', (req, res) => {
+    const jobs = jobService.listJobs(req.user.userId, type).map(job => job.toJSON());
+    sendSuccess(res, { jobs }, 'Jobs retrieved successfully');
+  });
+
+  router.get('/jobs/:id', (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    sendSuccess(res, { ...job.toJSON(), links: links(job) }, `Job ${job.status}`);
+  });
+
+  router.get('/jobs/:id/result', async (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    const { format = 'json' } = req.query;
+    if (!exportService.isValidFormat(format) || (format !== 'json' && !toDocument)) {
+      return sendError(res, 'Invalid export format', 400);
+    }
+
+    if (job.status === 'failed') {
+      return sendError(res, 'Job failed', 500, job.error, { code: 'JOB_FAILED', errorCode: job.errorCode });
+    }
+    if (job.status !== 'completed') {
+      return sendError(res, `Job is ${job.status}, result not available`, 409);
+    }
+
+    if (format !== 'json') {
+      try {
+        return await exportService.send(res, format, toDocument(job.result));
+      } catch (error) {
+        logger.error('Failed to export job result', { type, error });
+        if (res.headersSent) return res.end();
+        return sendError(res, 'Failed to export job result', 500, error.message);
+      }
+    }
+
+    sendSuccess(res, job.result, 'Job result retrieved successfully');
+  });
+
+  router.delete('/jobs/:id', (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    if (job.isFinished) {
+      return sendError(res, `Job already ${job.status}`, 409);
+    }
+
+    jobService.cancelJob(job.id);
+    sendSuccess(res, job.toJSON(), 'Job cancellation requested');
+  });
+};
+
+module.exports = {
+  mountJobRoutes
+};
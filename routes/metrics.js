@@ -0,0 +1,28 @@
+// routes/metrics.js
+const express = require('express');
+const metricsService = require('../services/metricsService');
+const { sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'metrics' });
+const { requireMetricsToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Open unless METRICS_TOKEN is set (then Bearer token, not a user login)
+router.use(requireMetricsToken);
+
+/**
+ * GET /metrics
+ * Prometheus text format: HTTP and Moodle call counts / latencies, Moodle
+ * errors per wsfunction, cache hit ratios and in-flight jobs
+ */
+router.get('/', (req, res) => {
+  try {
+    res.setHeader('Content-Type', metricsService.contentType);
+    res.send(metricsService.render());
+  } catch (error) {
+    logger.error('Failed to render metrics', { error });
+    sendError(res, 'Failed to render metrics', 500, error.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// routes/quizzes.js
+const express = require('express');
+const quizService = require('../services/quizService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'quizzes' });
+const { verifyToken, requireRole, requireCourseAccess } = require('../middleware/auth');
+const { analyticsLimit } = require('../middleware/rateLimit');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter } = require('../utils/groupFilter');
+
+const router = express.Router();
+router.use(verifyToken, requireRole('teacher'));
+
+/**
+ * GET /api/quizzes/:courseId
+ *
+ * For every quiz in the course: attempt counts, share of learners who
+ * attempted, best / last / average scores (% of the quiz's maximum), time
+ * taken per finished attempt, multiple-attempt behaviour and students who
+ * started but never finished. `classes` lines the quizzes up by the same
+ * class (section) labels as the activity breakdown.
+ *
+ * Query Parameters:
+ * - roles: learner role shortnames (default from config, 'all' = everyone)
+ * - groupId | groupName: only members of that course group
+ */
+router.get('/:courseId', requireCourseAccess(), analyticsLimit, async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const courseId = parseInt(req.params.courseId);
+
+    if (isNaN(courseId) || courseId <= 0) {
+      return sendError(res, 'Invalid course ID', 400);
+    }
+
+    logger.debug('Quiz analytics requested', { courseId });
+
+    const data = await quizService.getQuizAnalytics(moodleToken, courseId, {
+      roles: parseRoles(req.query.roles),
+      group: parseGroupFilter(req.query)
+    });
+
+    sendSuccess(res, data, 'Quiz analytics retrieved successfully');
+  } catch (error) {
+    if (error.status === 400) return sendError(res, error.message, 400);
+    logger.error('Failed to fetch quiz analytics', { error });
+    sendRouteError(res, error, 'Failed to fetch quiz analytics');
+  }
+});
+
+module.exports = router;
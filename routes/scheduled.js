@@ -0,0 +1,99 @@
+// routes/scheduled.js
+const express = require('express');
+const config = require('../config/moodle');
+const schedulerService = require('../services/schedulerService');
+const exportService = require('../services/exportService');
+const { sendSuccess, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'scheduled' });
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Results cover every course of the site (service account)
+router.use(verifyToken, requireRole('coordinator'));
+
+// Export documents per task type (?format= on a result)
+const DOCUMENTS = {
+  activityBreakdown: data => exportService.buildBreakdownDocument(data),
+  report: data => exportService.buildReportDocument(data)
+};
+
+/**
+ * GET /api/scheduled
+ * Scheduled tasks with their cron expression, next run and the asOf time
+ * of the latest stored result
+ */
+router.get('/', async (req, res) => {
+  try {
+    sendSuccess(res, {
+      enabled: schedulerService.isEnabled(),
+      timezone: config.scheduler.timezone,
+      tasks: await schedulerService.listTasks()
+    }, 'Scheduled tasks retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to list scheduled tasks', { error });
+    sendError(res, 'Failed to list scheduled tasks', 500, error.message);
+  }
+});
+
+/**
+ * GET /api/scheduled/:taskId
+ * Latest pre-computed result of a task: { taskId, type, params, asOf, data }
+ *
+ * Query Parameters:
+ * - format: 'json' | 'csv' | 'xlsx' | 'pdf' (breakdown and report tasks)
+ */
+router.get('/:taskId', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const result = await schedulerService.getResult(req.params.taskId);
+
+    if (!result) {
+      return sendError(res, 'No result yet for this task', 404);
+    }
+
+    if (format !== 'json') {
+      const toDocument = DOCUMENTS[result.type];
+      if (!exportService.isValidFormat(format) || !toDocument) {
+        return sendError(res, 'Invalid export format', 400);
+      }
+      return await exportService.send(res, format, toDocument(result.data));
+    }
+
+    sendSuccess(res, result, `Result as of ${result.asOf}`);
+  } catch (error) {
+    logger.error('Failed to load scheduled result', { error });
+    if (res.headersSent) return res.end();
+    sendError(res, 'Failed to load scheduled result', 500, error.message);
+  }
+});
+
+/**
+ * POST /api/scheduled/:taskId/run
+ * Run a task now instead of waiting for its schedule → 202 { taskId, links }
+ *
+ * The job belongs to the scheduler, not the caller, so progress is followed
+ * through `running` / `lastRun` of GET /api/scheduled rather than /jobs/:id.
+ */
+router.post('/:taskId/run', requireRole('admin'), (req, res) => {
+  try {
+    const { taskId } = req.params;
+    schedulerService.runTask(taskId);
+    sendSuccess(res, {
+      taskId,
+      status: 'queued',
+      links: {
+        status: '/api/scheduled',
+        result: `/api/scheduled/${encodeURIComponent(taskId)}`
+      }
+    }, 'Task queued', 202);
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return sendError(res, error.message, error.status);
+    }
+    logger.error('Failed to run task', { error });
+    sendError(res, 'Failed to run task', 500, error.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// routes/students.js
+const express = require('express');
+const studentService = require('../services/studentService');
+const { sendSuccess, sendError, sendRouteError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'students' });
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(verifyToken, requireRole('student'));
+
+/**
+ * GET /api/students/:id
+ *
+ * Drill-down for one student: profile, the courses they are enrolled in
+ * that the caller may view, class-by-class video/PDF completion (with
+ * timecompleted), last access per course and grade items.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { moodleToken } = req.user;
+    const studentId = parseInt(req.params.id);
+
+    if (isNaN(studentId) || studentId <= 0) {
+      return sendError(res, 'Invalid student ID', 400);
+    }
+
+    logger.debug('Student drill-down requested', { studentId });
+
+    const data = await studentService.getStudent(moodleToken, req.user, studentId);
+
+    sendSuccess(res, data, 'Student retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to fetch student', { error });
+    sendRouteError(res, error, 'Failed to fetch student');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// routes/terms.js
+const express = require('express');
+const termService = require('../services/termService');
+const { sendSuccess, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger').child({ module: 'terms' });
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { PRESETS } = require('../utils/dateRange');
+
+const router = express.Router();
+router.use(verifyToken, requireRole('student'));
+
+/**
+ * GET /api/terms
+ * Named academic terms (select with ?dateRange=term:<id>) and every
+ * dateRange preset the analytics endpoints accept.
+ * Terms are managed through /api/admin/terms.
+ */
+router.get('/', (req, res) => {
+  try {
+    sendSuccess(res, {
+      terms: termService.list(),
+      presets: PRESETS
+    }, 'Terms retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to load terms', { error });
+    sendError(res, 'Failed to load terms', 500, error.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// scripts/checkLogStore.js
+//
+// Seeds the SEED_LOGSTORE_* scratch database with the fixture rows of
+// scripts/seedLogStore.js (replacing earlier seed rows), then reads them back
+// through logStoreService and consistentAccessService and asserts the per-day
+// login counts and per-user active days. Exits non-zero on any mismatch.
+//
+//   npm run check:logstore
+//
+const assert = require('assert');
+const config = require('../config/moodle');
+const logStoreService = require('../services/logStoreService');
+const consistentAccessService = require('../services/consistentAccessService');
+const { dateKey } = require('../utils/timezone');
+const { DAY, DEFAULT_USER_IDS, seed } = require('./seedLogStore');
+
+const TIMEZONE = 'UTC';
+
+/**
+ * Logins per UTC day and active days / logins / course views per user,
+ * counted straight from the inserted fixture rows
+ */
+function expectedCounts(rows) {
+  const loginsPerDay = {};
+  const users = {};
+
+  for (const [, eventname, , , , , userid, , timecreated] of rows) {
+    const user = users[userid] ??= { days: new Set(), totalLogins: 0, courseViews: 0 };
+    user.days.add(dateKey(timecreated, TIMEZONE));
+
+    if (eventname === logStoreService.EVENTS.loggedIn) {
+      const day = dateKey(timecreated, TIMEZONE);
+      loginsPerDay[day] = (loginsPerDay[day] || 0) + 1;
+      user.totalLogins++;
+    } else {
+      user.courseViews++;
+    }
+  }
+
+  return { loginsPerDay, users };
+}
+
+async function check() {
+  const now = Math.floor(Date.now() / 1000);
+  const todayStart = now - (now % DAY);
+  const range = { from: todayStart - 13 * DAY, to: todayStart + DAY - 1, timezone: TIMEZONE };
+
+  const rows = await seed({ force: true, now });
+  const expected = expectedCounts(rows);
+
+  // Read the scratch database the rows were just written to
+  logStoreService.config = { ...config.seedLogStore, enabled: true, poolSize: 2 };
+
+  try {
+    // Per-day logins, as getLoginLogs returns them for the dashboard
+    const logins = await logStoreService.getLoginEvents(range.from, range.to, { userIds: DEFAULT_USER_IDS });
+    const loginsPerDay = {};
+    logins.forEach(event => {
+      const day = dateKey(event.timecreated, TIMEZONE);
+      loginsPerDay[day] = (loginsPerDay[day] || 0) + 1;
+    });
+    assert.deepStrictEqual(loginsPerDay, expected.loginsPerDay, 'logins per day');
+
+    // Fixture user N logs in on every N-th day of the 14, so day counts differ
+    DEFAULT_USER_IDS.forEach((userId, idx) => {
+      assert.strictEqual(expected.users[userId].days.size, Math.floor(13 / (idx + 1)) + 1, `fixture days of user ${userId}`);
+    });
+
+    // Distinct active days per user, as consistent-access counts them
+    const users = DEFAULT_USER_IDS.map(userId => ({ userId, username: `user${userId}`, lastaccess: now, courses: [] }));
+    const loginDays = await consistentAccessService.buildLogStoreLoginDays(users, range);
+
+    DEFAULT_USER_IDS.forEach(userId => {
+      const want = expected.users[userId];
+      const got = loginDays[userId];
+      assert.ok(got, `user ${userId} has log store activity`);
+      assert.strictEqual(got.uniqueDays, want.days.size, `active days of user ${userId}`);
+      assert.strictEqual(got.totalLogins, want.totalLogins, `logins of user ${userId}`);
+      assert.strictEqual(got.courseViews, want.courseViews, `course views of user ${userId}`);
+    });
+
+    console.log(`[CHECK] ${Object.keys(loginsPerDay).length} days and ${users.length} users match the fixture rows`);
+  } finally {
+    await logStoreService.close();
+  }
+}
+
+check().catch(err => {
+  console.error('[CHECK FAILED]', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+// scripts/seedLogStore.js
+//
+// Creates a minimal logstore_standard_log table in a LOCAL database and fills
+// it with fixture login / course-view rows for the last 14 days, so the
+// log-store analytics can be exercised without a real Moodle database.
+//
+// Connects with its own SEED_LOGSTORE_* settings and refuses to run when they
+// point at the LOGSTORE_* database the service reads (Moodle's real log).
+// Seeded rows are marked with origin = 'seed'; a table holding any other
+// rows is never touched, and replacing earlier seed rows needs --force.
+//
+//   node scripts/seedLogStore.js [--force] [userId,userId,...] [courseId,courseId,...]
+//
+// scripts/checkLogStore.js reuses seed() and buildFixtureRows() to verify the
+// adapter against the seeded rows (npm run check:logstore).
+//
+const config = require('../config/moodle');
+const { EVENTS } = require('../services/logStoreService');
+
+const DAY = 24 * 60 * 60;
+const SEED_ORIGIN = 'seed';
+const DEFAULT_PORTS = { mysql: 3306, postgres: 5432 };
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+const DEFAULT_USER_IDS = [2, 3, 4, 5, 6];
+const DEFAULT_COURSE_IDS = [2, 3];
+
+const normalizeHost = host => {
+  const value = String(host || 'localhost').toLowerCase();
+  return LOCAL_HOSTS.includes(value) ? 'localhost' : value;
+};
+
+/**
+ * Same server and database as the service's read-only log store
+ */
+function isServiceLogStore(seed, live) {
+  return seed.driver === live.driver &&
+    normalizeHost(seed.host) === normalizeHost(live.host) &&
+    (seed.port || DEFAULT_PORTS[seed.driver]) === (live.port || DEFAULT_PORTS[live.driver]) &&
+    seed.database === live.database;
+}
+
+/**
+ * Throws unless the seed settings name their own, separate database
+ */
+function checkTarget(seed, live) {
+  if (!seed.host || !seed.database) {
+    throw new Error('Set SEED_LOGSTORE_HOST and SEED_LOGSTORE_DATABASE to a local scratch database');
+  }
+  if (!DEFAULT_PORTS[seed.driver]) {
+    throw new Error(`Unknown SEED_LOGSTORE_DRIVER "${seed.driver}" (use mysql or postgres)`);
+  }
+  if (isServiceLogStore(seed, live)) {
+    throw new Error(
+      `SEED_LOGSTORE_* points at the LOGSTORE_* database (${live.host}/${live.database}) ` +
+      'the service reads Moodle\'s log from; refusing to write there'
+    );
+  }
+}
+
+/**
+ * Deterministic fixture: user N logs in every N-th day and views every
+ * course on those days, so each user ends up with a distinct day count.
+ */
+function buildFixtureRows({ userIds = DEFAULT_USER_IDS, courseIds = DEFAULT_COURSE_IDS, now = Math.floor(Date.now() / 1000) } = {}) {
+  const todayStart = now - (now % DAY);
+  const rows = [];
+  let id = 1;
+
+  for (let dayOffset = 13; dayOffset >= 0; dayOffset--) {
+    const dayStart = todayStart - dayOffset * DAY;
+
+    userIds.forEach((userId, idx) => {
+      if (dayOffset % (idx + 1) !== 0) return;
+
+      const loginTime = dayStart + 9 * 3600 + idx * 60;
+      rows.push([id++, EVENTS.loggedIn, 'core', 'loggedin', 'user', 0, userId, 0, loginTime, SEED_ORIGIN]);
+
+      // Second login in the evening for the first user (repeat logins per day)
+      if (idx === 0) {
+        rows.push([id++, EVENTS.loggedIn, 'core', 'loggedin', 'user', 0, userId, 0, loginTime + 9 * 3600, SEED_ORIGIN]);
+      }
+
+      courseIds.forEach((courseId, c) => {
+        rows.push([id++, EVENTS.courseViewed, 'core', 'viewed', 'course', courseId, userId, courseId, loginTime + 300 + c, SEED_ORIGIN]);
+      });
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Decide what to do with the rows already in the table: nothing to delete
+ * when it is empty, replace earlier seed rows only with --force, and never
+ * touch a table that holds rows this script did not create
+ */
+function planExisting({ seeded, foreign }, table, force) {
+  if (foreign > 0) {
+    throw new Error(`${table} holds ${foreign} rows not created by this script; refusing to touch it`);
+  }
+  if (seeded > 0 && !force) {
+    throw new Error(`${table} already holds ${seeded} seed rows; rerun with --force to replace them`);
+  }
+  return { deleteSeeded: seeded > 0 };
+}
+
+async function seed({ force = false, userIds, courseIds, now } = {}) {
+  checkTarget(config.seedLogStore, config.logStore);
+
+  const { driver, host, port, database, user, password, tablePrefix } = config.seedLogStore;
+  const table = `${tablePrefix}logstore_standard_log`;
+  const columns = 'id, eventname, component, action, target, contextinstanceid, userid, courseid, timecreated, origin';
+  const countSql = `SELECT
+    SUM(CASE WHEN origin = '${SEED_ORIGIN}' THEN 1 ELSE 0 END) AS seeded,
+    SUM(CASE WHEN origin IS NULL OR origin <> '${SEED_ORIGIN}' THEN 1 ELSE 0 END) AS foreign_rows
+    FROM ${table}`;
+  const deleteSql = `DELETE FROM ${table} WHERE origin = '${SEED_ORIGIN}'`;
+
+  // Count existing rows; a table without the origin column was not made here
+  const readCounts = async query => {
+    let row;
+    try {
+      row = await query();
+    } catch (error) {
+      throw new Error(`Cannot tell seed rows apart in ${table} (${error.message}); drop it or use another database`);
+    }
+    return { seeded: Number(row?.seeded) || 0, foreign: Number(row?.foreign_rows) || 0 };
+  };
+
+  const createSql = `CREATE TABLE IF NOT EXISTS ${table} (
+    id BIGINT PRIMARY KEY,
+    eventname VARCHAR(255) NOT NULL,
+    component VARCHAR(100) NOT NULL,
+    action VARCHAR(100) NOT NULL,
+    target VARCHAR(100) NOT NULL,
+    contextinstanceid BIGINT NOT NULL,
+    userid BIGINT NOT NULL,
+    courseid BIGINT,
+    timecreated BIGINT NOT NULL,
+    origin VARCHAR(10)
+  )`;
+
+  const rows = buildFixtureRows({ userIds, courseIds, now });
+
+  if (driver === 'postgres') {
+    const { Client } = require('pg');
+    const client = new Client({ host, port: port || 5432, database, user, password });
+    await client.connect();
+    try {
+      await client.query(createSql);
+      const counts = await readCounts(async () => (await client.query(countSql)).rows[0]);
+      const { deleteSeeded } = planExisting(counts, table, force);
+      if (deleteSeeded) await client.query(deleteSql);
+      for (const row of rows) {
+        await client.query(
+          `INSERT INTO ${table} (${columns}) VALUES (${row.map((_, i) => `$${i + 1}`).join(', ')})`,
+          row
+        );
+      }
+    } finally {
+      await client.end();
+    }
+  } else {
+    const mysql = require('mysql2/promise');
+    const conn = await mysql.createConnection({ host, port: port || 3306, database, user, password });
+    try {
+      await conn.query(createSql);
+      const counts = await readCounts(async () => (await conn.query(countSql))[0][0]);
+      const { deleteSeeded } = planExisting(counts, table, force);
+      if (deleteSeeded) await conn.query(deleteSql);
+      await conn.query(`INSERT INTO ${table} (${columns}) VALUES ?`, [rows]);
+    } finally {
+      await conn.end();
+    }
+  }
+
+  console.log(`[SEED] Inserted ${rows.length} rows into ${table} (${driver})`);
+  return rows;
+}
+
+module.exports = {
+  DAY,
+  DEFAULT_USER_IDS,
+  DEFAULT_COURSE_IDS,
+  buildFixtureRows,
+  seed
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2).filter(arg => arg !== '--force');
+  const parseIds = arg => arg && arg.split(',').map(Number);
+
+  seed({
+    force: process.argv.includes('--force'),
+    userIds: parseIds(args[0]),
+    courseIds: parseIds(args[1])
+  }).catch(err => {
+    console.error('[SEED ERROR]', err.message);
+    process.exit(1);
+  });
+}
@@ -1,8 +1,12 @@
 // server.js
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const config = require('./config/moodle');
+const moodleService = require('./services/moodleService');
+const accessSnapshotService = require('./services/accessSnapshotService');
+const schedulerService = require('./services/schedulerService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -12,12 +16,31 @@ const analyticsRoutes = require('./routes/analytics'); // ✅ NEW
 const consistentAccessRoutes = require('./routes/consistentAccess');
 const activityBreakdownRoutes = require('./routes/activityBreakdown');
 const reportRoutes = require('./routes/reports');
+const adminRoutes = require('./routes/admin');
+const studentRoutes = require('./routes/students');
+const gradeRoutes = require('./routes/grades');
+const quizRoutes = require('./routes/quizzes');
+const forumRoutes = require('./routes/forums');
+const insightRoutes = require('./routes/insights');
+const termRoutes = require('./routes/terms');
+const scheduledRoutes = require('./routes/scheduled');
+const metricsRoutes = require('./routes/metrics');
+const { requestContextMiddleware } = require('./utils/requestContext');
+const { cacheStatus } = require('./middleware/cacheStatus');
+const { httpMetrics } = require('./middleware/metrics');
+const logger = require('./utils/logger').child({ module: 'http' });
+
+// Incoming X-Request-Id values (e.g. from a proxy) are kept when they look sane
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
 
 
 
 // Initialize Express app
 const app = express();
 
+// Client IPs behind a reverse proxy (used by the login rate limits)
+app.set('trust proxy', config.trustProxy);
+
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -33,14 +56,44 @@ const corsOptions = {
   credentials: true
 };
 
+// Correlation id for every request: echoed in X-Request-Id and attached to
+// every log line written while the request (or a job it queued) runs
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = REQUEST_ID_RE.test(incoming || '') ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+
+// Prometheus request counts / latencies (before anything that can fail)
+if (config.metrics.enabled) app.use(httpMetrics);
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContextMiddleware);
+app.use(cacheStatus);
+
+// Prometheus scrape endpoint, before the request log so scrapes do not flood it
+if (config.metrics.enabled) app.use('/metrics', metricsRoutes);
 
-// Request logging middleware
+// Request logging middleware: one line per finished request
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      userId: req.user?.userId
+    };
+    if (res.statusCode >= 500) logger.error('Request failed', fields);
+    else logger.info('Request completed', fields);
+  });
+
   next();
 });
 
@@ -55,10 +108,13 @@ app.get('/', (req, res) => {
 });
 
 app.get('/health', (req, res) => {
+  const circuit = moodleService.circuitBreaker.getState();
+
   res.json({
     success: true,
-    status: 'healthy',
+    status: circuit.state === 'closed' ? 'healthy' : 'degraded',
     moodleUrl: config.moodleUrl,
+    moodle: { circuit },
     timestamp: new Date().toISOString()
   });
 });
@@ -71,6 +127,14 @@ app.use('/api/analytics', analyticsRoutes); // ✅ NEW
 app.use('/api/consistent-access', consistentAccessRoutes);
 app.use('/api/activity-breakdown', activityBreakdownRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/students', studentRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/quizzes', quizRoutes);
+app.use('/api/forums', forumRoutes);
+app.use('/api/insights', insightRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/scheduled', scheduledRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -82,7 +146,7 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('[ERROR]', err);
+  logger.error('Unhandled error', { method: req.method, path: req.path, error: err });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -93,10 +157,16 @@ app.use((err, req, res, next) => {
 // Start server
 const PORT = config.port;
 app.listen(PORT, () => {
-  console.log('=================================');
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📍 Environment: ${config.nodeEnv}`);
-  console.log(`🔗 Moodle URL: ${config.moodleUrl}`);
-  console.log(`🌐 http://localhost:${PORT}`);
-  console.log('=================================');
+  logger.info('Server running', {
+    port: Number(PORT),
+    environment: config.nodeEnv,
+    moodleUrl: config.moodleUrl,
+    logLevel: config.logging.level
+  });
+
+  // Background lastaccess snapshots for consistent-access day counts
+  accessSnapshotService.start();
+
+  // Service-account pre-computation (breakdown, consistent access, reports)
+  schedulerService.start();
 });
\ No newline at end of file
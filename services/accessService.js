@@ -0,0 +1,103 @@
+// services/accessService.js
+//
+// Role-based access control. A user's role is resolved once at login and
+// stored in the server-side session (see sessionService), together with the
+// ids of the courses where a teacher holds a teaching role; the JWT only
+// carries the session id.
+//
+const config = require('../config/moodle');
+const moodleService = require('./moodleService');
+const logger = require('../utils/logger').child({ module: 'access' });
+
+// Lowest to highest; a role includes everything the roles below it may do
+const ROLES = ['student', 'teacher', 'coordinator', 'admin'];
+
+const rankOf = role => ROLES.indexOf(ROLES.includes(role) ? role : 'student');
+
+class AccessService {
+  constructor() {
+    this.ROLES = ROLES;
+  }
+
+  hasRole(role, required) {
+    return rankOf(role) >= rankOf(required);
+  }
+
+  /**
+   * Role from the local mapping (ADMIN_USERNAMES, ROLE_MAP), or null
+   */
+  localRole(username) {
+    if (config.adminUsernames.includes(username)) return 'admin';
+
+    const mapped = config.rbac.userRoles[username];
+    return ROLES.includes(mapped) ? mapped : null;
+  }
+
+  /**
+   * Role shortnames the user holds in each of their courses.
+   * Courses whose profile cannot be read are left out.
+   */
+  async getCourseRoles(moodleToken, userId) {
+    const courses = await moodleService.getUserCourses(moodleToken, userId);
+
+    const entries = await Promise.all(courses.map(async course => {
+      try {
+        const profile = await moodleService.getCourseUserProfile(moodleToken, course.id, userId);
+        return [course.id, (profile?.roles || []).map(r => r.shortname)];
+      } catch (err) {
+        logger.warn('Course roles unavailable', { courseId: course.id, error: err });
+        return [course.id, []];
+      }
+    }));
+
+    return new Map(entries);
+  }
+
+  /**
+   * Resolve { role, source, teachingCourseIds } at login
+   */
+  async resolveAccess(moodleToken, siteInfo) {
+    const courseRoles = await this.getCourseRoles(moodleToken, siteInfo.userid);
+    const holds = wanted => [...courseRoles]
+      .filter(([, roles]) => roles.some(r => wanted.includes(r)))
+      .map(([courseId]) => courseId);
+
+    const teachingCourseIds = holds(config.rbac.teacherRoles);
+
+    const local = this.localRole(siteInfo.username);
+    if (local) return { role: local, source: 'local', teachingCourseIds };
+
+    if (siteInfo.userissiteadmin) return { role: 'admin', source: 'moodle', teachingCourseIds };
+
+    if (holds(config.rbac.coordinatorRoles).length > 0) {
+      return { role: 'coordinator', source: 'moodle', teachingCourseIds };
+    }
+    if (teachingCourseIds.length > 0) {
+      return { role: 'teacher', source: 'moodle', teachingCourseIds };
+    }
+    return { role: 'student', source: 'moodle', teachingCourseIds };
+  }
+
+  /**
+   * Course ids the user is limited to on cohort endpoints (null = all)
+   */
+  courseScopeOf(user) {
+    return this.hasRole(user.role, 'coordinator') ? null : user.teachingCourseIds || [];
+  }
+
+  canAccessCourse(user, courseId) {
+    const scope = this.courseScopeOf(user);
+    return scope === null || scope.includes(courseId);
+  }
+
+  /**
+   * A viewer may see a student in a course when they are that student,
+   * a coordinator / admin, or a teacher of the course.
+   */
+  canViewStudent(viewer, studentId, courseId) {
+    if (viewer.userId === studentId) return true;
+    return this.hasRole(viewer.role, 'teacher') && this.canAccessCourse(viewer, courseId);
+  }
+}
+
+module.exports = new AccessService();
@@ -0,0 +1,207 @@
+// services/accessSnapshotService.js
+//
+// Background snapshotter: records every enrolled user's lastaccess and
+// per-course lastcourseaccess several times a day into JSON-lines files
+// (one file per UTC day). Moodle only keeps the latest access time, so
+// replaying the snapshots is how we recover distinct active days.
+//
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/moodle');
+const moodleService = require('./moodleService');
+const { dateKey } = require('../utils/timezone');
+const logger = require('../utils/logger').child({ module: 'snapshot' });
+
+const DAY = 24 * 60 * 60;
+
+const toDateKey = ts => new Date(ts * 1000).toISOString().split('T')[0];
+
+class AccessSnapshotService {
+  constructor() {
+    this.config = config.snapshots;
+    this.timer = null;
+    this.running = false;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled && config.moodleToken);
+  }
+
+  /**
+   * Start the periodic snapshot timer (first snapshot runs immediately)
+   */
+  start() {
+    if (this.timer) return;
+
+    if (!this.isEnabled()) {
+      logger.info('Snapshots disabled (set SNAPSHOT_ENABLED=true and MOODLE_TOKEN)');
+      return;
+    }
+
+    const intervalMs = this.config.intervalMinutes * 60 * 1000;
+    const run = () => this.takeSnapshot(config.moodleToken).catch(err => {
+      logger.error('Snapshot failed', { error: err });
+    });
+
+    this.timer = setInterval(run, intervalMs);
+    this.timer.unref();
+    run();
+
+    logger.info('Snapshots scheduled', { intervalMinutes: this.config.intervalMinutes, dir: this.config.dir });
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Record lastaccess / lastcourseaccess for all enrolled users of all courses
+   */
+  async takeSnapshot(token) {
+    if (this.running) {
+      logger.warn('Previous snapshot still running, skipping');
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const takenAt = Math.floor(Date.now() / 1000);
+      const courses = (await moodleService.getAllCourses(token))
+        .filter(course => course.format !== 'site');
+
+      const users = {};
+      let failedCourses = 0;
+
+      for (const course of courses) {
+        try {
+          const enrolledUsers = await moodleService.getEnrolledUsers(token, course.id);
+
+          enrolledUsers.forEach(user => {
+            if (!user.id) return;
+            users[user.id] ??= { lastaccess: user.lastaccess || 0, courses: {} };
+            users[user.id].courses[course.id] = user.lastcourseaccess || 0;
+          });
+        } catch (err) {
+          failedCourses++;
+          logger.warn('Course skipped in snapshot', { courseId: course.id, error: err });
+        }
+      }
+
+      const snapshot = { takenAt, courses: courses.length, failedCourses, users };
+
+      await fs.mkdir(this.config.dir, { recursive: true });
+      await fs.appendFile(
+        path.join(this.config.dir, `${toDateKey(takenAt)}.jsonl`),
+        JSON.stringify(snapshot) + '\n'
+      );
+      await this.pruneOldFiles();
+
+      logger.info('Snapshot taken', { users: Object.keys(users).length, courses: courses.length, failedCourses });
+      return snapshot;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async pruneOldFiles() {
+    const cutoff = toDateKey(Math.floor(Date.now() / 1000) - this.config.retentionDays * DAY);
+    const files = await fs.readdir(this.config.dir).catch(() => []);
+
+    await Promise.all(files
+      .filter(file => file.endsWith('.jsonl') && file.slice(0, 10) < cutoff)
+      .map(file => fs.unlink(path.join(this.config.dir, file)).catch(() => {})));
+  }
+
+  /**
+   * Load all snapshots taken between two unix timestamps
+   */
+  async getSnapshots(fromTimestamp, toTimestamp) {
+    const snapshots = [];
+
+    for (let day = fromTimestamp - (fromTimestamp % DAY); day <= toTimestamp; day += DAY) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(this.config.dir, `${toDateKey(day)}.jsonl`), 'utf8');
+      } catch {
+        continue;
+      }
+
+      content.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const snapshot = JSON.parse(line);
+          if (snapshot.takenAt >= fromTimestamp && snapshot.takenAt <= toTimestamp) {
+            snapshots.push(snapshot);
+          }
+        } catch {
+          // Ignore a partially written line
+        }
+      });
+    }
+
+    return snapshots.sort((a, b) => a.takenAt - b.takenAt);
+  }
+
+  /**
+   * Derive distinct active days per user inside the range.
+   *
+   * Each observed lastaccess / lastcourseaccess value is a real access time,
+   * so the set of distinct dates observed across all snapshots is the set of
+   * days the user was active. Snapshots up to one day after the range are
+   * read too, because a late-evening access is first seen the next morning.
+   *
+   * Days are keyed in range.timezone (files stay per UTC day).
+   *
+   * Returns { userDays: Map<userId, Set<YYYY-MM-DD>>, coverage }
+   */
+  async getActiveDays(range, userIds = null) {
+    const snapshots = await this.getSnapshots(range.from, range.to + DAY);
+    const wanted = userIds ? new Set(userIds) : null;
+    const userDays = new Map();
+
+    const observe = (userId, ts) => {
+      if (!ts || ts < range.from || ts > range.to) return;
+      if (!userDays.has(userId)) userDays.set(userId, new Set());
+      userDays.get(userId).add(dateKey(ts, range.timezone || 'UTC'));
+    };
+
+    snapshots.forEach(snapshot => {
+      Object.entries(snapshot.users).forEach(([id, user]) => {
+        const userId = Number(id);
+        if (wanted && !wanted.has(userId)) return;
+
+        observe(userId, user.lastaccess);
+        Object.values(user.courses || {}).forEach(ts => observe(userId, ts));
+      });
+    });
+
+    return { userDays, coverage: this.getCoverage(snapshots, range) };
+  }
+
+  /**
+   * How well the snapshots cover the requested window
+   */
+  getCoverage(snapshots, range) {
+    const totalDays = Math.max(1, Math.ceil((range.to - range.from) / DAY));
+    const perDay = Math.max(1, Math.floor((24 * 60) / this.config.intervalMinutes));
+
+    const inRange = snapshots.filter(s => s.takenAt >= range.from && s.takenAt <= range.to);
+    const daysCovered = new Set(inRange.map(s => dateKey(s.takenAt, range.timezone || 'UTC'))).size;
+
+    return {
+      snapshotsInRange: inRange.length,
+      expectedSnapshots: totalDays * perDay,
+      daysCovered,
+      totalDays,
+      ratio: Math.min(1, Math.round((daysCovered / totalDays) * 100) / 100),
+      firstSnapshotAt: snapshots.length ? new Date(snapshots[0].takenAt * 1000).toISOString() : null,
+      lastSnapshotAt: snapshots.length
+        ? new Date(snapshots[snapshots.length - 1].takenAt * 1000).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = new AccessSnapshotService();
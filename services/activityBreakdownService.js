@@ -1,44 +1,149 @@
 // services/activityBreakdownService.js
-// Class-wise Video + PDF completion breakdown per course
+// Class-wise Video + PDF (and other rule-defined types) completion breakdown per course
 const moodleService = require('./moodleService');
+const activityClassifier = require('./activityClassifier');
+const { filterLearners, mergeExcluded } = require('../utils/roleFilter');
+const { filterByGroup, describeGroupFilter } = require('../utils/groupFilter');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { JobCancelledError } = require('./jobService');
+const logger = require('../utils/logger').child({ module: 'activity-breakdown' });
 
 class ActivityBreakdownService {
 
   /* ─────────────────────────────────────────────
-     HELPER: Detect activity type from name/module
+     HELPER: Detect activity type via classification rules
+     (config/activityRules.js — modname, mimetype, URL host, name)
   ───────────────────────────────────────────── */
 
-  parseActivityInfo(moduleName, sectionName, modname = '') {
-    const name = (moduleName || '').toLowerCase();
-    const section = (sectionName || '').toLowerCase();
-    const moduleType = (modname || '').toLowerCase();
+  parseActivityInfo(mod, sectionName, courseId) {
+    const { type, ruleId } = activityClassifier.classify(mod, courseId);
+    const classLabel = sectionName || 'Unknown Class';
 
-    let type = 'other';
+    return { classLabel, type, ruleId };
+  }
 
-    // ✅ FIX: interactivevideo direct video
-    if (moduleType === 'interactivevideo') {
-      type = 'video';
-    }
-    else if (name.includes('video') || name.includes('vid')) {
-      type = 'video';
+  /**
+   * Map course modules (by cmid) to their class label and activity type.
+   * classOrder keeps sections in course order; modules no rule matches are left out.
+   */
+  buildModuleMap(sections, courseId) {
+    const moduleMap = {};
+    const classOrder = [];
+
+    for (const section of sections) {
+      const sectionName = section.name || 'Unknown Section';
+      if (!section.modules || section.modules.length === 0) continue;
+
+      if (!classOrder.includes(sectionName)) {
+        classOrder.push(sectionName);
+      }
+
+      for (const mod of section.modules) {
+        const { classLabel, type, ruleId } = this.parseActivityInfo(mod, sectionName, courseId);
+        if (!type) continue;
+
+        moduleMap[mod.id] = {
+          classLabel,
+          type,
+          ruleId,
+          moduleName: mod.name,
+          moduleId: mod.id,
+          instance: mod.instance,
+          modname: mod.modname
+        };
+      }
     }
-    else if (name.includes('pdf') || name.includes('document')) {
-      type = 'pdf';
+
+    return { moduleMap, classOrder };
+  }
+
+  /**
+   * Class table row from the per-type sets of student ids that completed
+   * something in the class. `eitherCompleted` stays video OR pdf.
+   */
+  summarizeClass(label, data = {}, totalEnrolled) {
+    const video = data.video || new Set();
+    const pdf = data.pdf || new Set();
+
+    const completedByType = {};
+    Object.entries(data).forEach(([type, ids]) => {
+      completedByType[type] = ids.size;
+    });
+
+    return {
+      className: label,
+      videoCompleted: video.size,
+      pdfCompleted: pdf.size,
+      bothCompleted: [...video].filter(id => pdf.has(id)).length,
+      eitherCompleted: new Set([...video, ...pdf]).size,
+      totalEnrolled,
+      completedByType
+    };
+  }
+
+  /**
+   * classData for a class limited to the given student ids
+   */
+  restrictClassData(data = {}, ids) {
+    return Object.fromEntries(
+      Object.entries(data).map(([type, set]) => [type, new Set([...set].filter(id => ids.has(id)))])
+    );
+  }
+
+  /**
+   * The class table once per group, built from the same completion sets.
+   * Students in none of the groups are listed under groupId null.
+   */
+  splitByGroup(classOrder, classData, students, groups) {
+    const studentIds = new Set(students.map(s => s.id));
+    const grouped = new Set();
+
+    const buckets = groups.map(group => {
+      const ids = new Set([...group.userIds].filter(id => studentIds.has(id)));
+      ids.forEach(id => grouped.add(id));
+      return { groupId: group.id, groupName: group.name, ids };
+    });
+
+    const ungrouped = new Set([...studentIds].filter(id => !grouped.has(id)));
+    if (ungrouped.size > 0) {
+      buckets.push({ groupId: null, groupName: 'No group', ids: ungrouped });
     }
 
-    const classLabel = sectionName || 'Unknown Class';
+    return buckets.map(({ groupId, groupName, ids }) => ({
+      groupId,
+      groupName,
+      totalEnrolled: ids.size,
+      classes: classOrder.map(label =>
+        this.summarizeClass(label, this.restrictClassData(classData[label], ids), ids.size)
+      )
+    }));
+  }
+
+  /**
+   * Groups for ?split=group: the filtered groups when a group filter is
+   * active, otherwise every group of the course
+   */
+  async getSplitGroups(moodleToken, courseId, membership) {
+    if (membership) return membership.groups;
 
-    return { classLabel, type };
+    try {
+      return await moodleService.getCourseGroupsWithMembers(moodleToken, courseId);
+    } catch (err) {
+      logger.warn('Could not fetch groups', { courseId, error: err });
+      addWarning({ type: 'skipped', call: 'core_group_get_course_groups', target: { courseId }, reason: err.message });
+      return [];
+    }
   }
 
   /* ───────────────────────────────────────────── */
 
-  async processInBatches(items, batchSize, processFn) {
+  async processInBatches(items, batchSize, processFn, onBatchDone = null) {
     const results = [];
     for (let i = 0; i < items.length; i += batchSize) {
       const batch = items.slice(i, i + batchSize);
       const batchResults = await Promise.all(batch.map(processFn));
       results.push(...batchResults);
+      if (onBatchDone) onBatchDone(batch.length);
       if (i + batchSize < items.length) {
         await new Promise(r => setTimeout(r, 100));
       }
@@ -48,77 +153,52 @@ class ActivityBreakdownService {
 
   /* ───────────────────────────────────────────── */
 
-  async getSingleCourseBreakdown(moodleToken, courseId, courseName) {
-    console.log(`\n[COURSE] ${courseName} (ID: ${courseId})`);
-
+  /**
+   * Per-student completion sets for a course — the data the class tables,
+   * the funnel and the at-risk scores are computed from.
+   * Returns { students, excluded, membership, moduleMap, classOrder, classData }
+   * where classData[classLabel][type] = Set of student ids.
+   * onStatus(student, status, modInfo) sees every completion status fetched
+   * (modInfo is null for modules outside the class tables).
+   */
+  async getCompletionSets(moodleToken, courseId, { job = null, roles = null, group = null, onStatus = null } = {}) {
     let sections = [];
     try {
       sections = await moodleService.getCourseContents(moodleToken, courseId);
     } catch (err) {
-      console.warn(`   ⚠️  Could not fetch contents: ${err.message}`);
+      logger.warn('Could not fetch course contents', { courseId, error: err });
+      addWarning({ type: 'skipped', call: 'core_course_get_contents', target: { courseId }, reason: err.message });
     }
 
-    const moduleMap = {};
-    const classOrder = [];
-
-    for (const section of sections) {
-      const sectionName = section.name || 'Unknown Section';
-      if (!section.modules || section.modules.length === 0) continue;
-
-      if (!classOrder.includes(sectionName)) {
-        classOrder.push(sectionName);
-      }
-
-      for (const mod of section.modules) {
-
-        // ✅ FIX 1: Added interactivevideo
-        const learningModules = [
-          'resource',
-          'url',
-          'page',
-          'scorm',
-          'folder',
-          'interactivevideo'   // 🔥 IMPORTANT FIX
-        ];
-
-        if (!learningModules.includes(mod.modname)) continue;
-
-        const { classLabel, type } = this.parseActivityInfo(
-          mod.name,
-          sectionName,
-          mod.modname   // ✅ pass modname
-        );
-
-        moduleMap[mod.id] = {
-          classLabel,
-          type,
-          moduleName: mod.name,
-          moduleId: mod.id,
-          instance: mod.instance,
-          modname: mod.modname
-        };
-      }
-    }
+    const { moduleMap, classOrder } = this.buildModuleMap(sections, courseId);
 
-    console.log(`   📚 Sections found: ${classOrder.length}`);
-    console.log(`   📦 Modules mapped: ${Object.keys(moduleMap).length}`);
+    logger.debug('Course modules mapped', { courseId, sections: classOrder.length, modules: Object.keys(moduleMap).length });
 
     let students = [];
+    let excluded = { total: 0, byRole: {} };
     try {
-      students = await moodleService.getEnrolledUsers(moodleToken, courseId);
-      console.log(`   👥 Total enrolled (all roles): ${students.length}`);
+      const enrolled = await moodleService.getEnrolledUsers(moodleToken, courseId);
+      ({ learners: students, excluded } = filterLearners(enrolled, roles));
+      logger.debug('Course learners', { courseId, enrolled: enrolled.length, learners: students.length, excluded: excluded.total });
     } catch (err) {
-      console.warn(`   ⚠️  Could not fetch students: ${err.message}`);
+      logger.warn('Could not fetch students', { courseId, error: err });
+      addWarning({ type: 'skipped', call: 'core_enrol_get_enrolled_users', target: { courseId }, reason: err.message });
     }
 
+    const membership = await moodleService.resolveGroupFilter(moodleToken, courseId, group);
+    if (membership) {
+      students = filterByGroup(students, membership.userIds);
+      logger.debug('Group filter applied', { courseId, members: students.length, groups: membership.groups.map(g => g.name) });
+    }
+
+    job?.startCourse(students.length);
+
+    // classData[classLabel][type] = Set of student ids
     const classData = {};
 
     const ensureClass = (label) => {
       if (!classData[label]) {
-        classData[label] = {
-          video: new Set(),
-          pdf: new Set()
-        };
+        classData[label] = {};
       }
     };
 
@@ -138,8 +218,6 @@ class ActivityBreakdownService {
 
           for (const status of statuses) {
 
-            if (status.state !== 1 && status.state !== 2) continue;
-
             let modInfo = moduleMap[status.cmid];
 
             // Fallback by instance
@@ -149,96 +227,130 @@ class ActivityBreakdownService {
               );
             }
 
+            onStatus?.(student, status, modInfo || null);
+
+            if (status.state !== 1 && status.state !== 2) continue;
             if (!modInfo) continue;
 
             const { classLabel, type } = modInfo;
             ensureClass(classLabel);
 
-            if (type === 'video') {
-              classData[classLabel].video.add(student.id);
-            }
-            else if (type === 'pdf') {
-              classData[classLabel].pdf.add(student.id);
-            }
+            classData[classLabel][type] ??= new Set();
+            classData[classLabel][type].add(student.id);
           }
 
         } catch (err) {
-          console.warn(`   ⚠️  Error for ${student.fullname}: ${err.message}`);
+          logger.warn('Student completion unavailable', { courseId, userId: student.id, error: err });
+          addWarning({
+            type: 'skipped',
+            call: 'core_completion_get_activities_completion_status',
+            target: { courseId, userId: student.id },
+            reason: err.message
+          });
         }
-      });
+      }, count => job?.studentsDone(count));
     }
 
-    const classSummary = classOrder.map(label => {
-      const data = classData[label] || { video: new Set(), pdf: new Set() };
-      const videoCount = data.video.size;
-      const pdfCount = data.pdf.size;
-      const bothCount = [...data.video].filter(id => data.pdf.has(id)).length;
-      const eitherCount = new Set([...data.video, ...data.pdf]).size;
+    return { students, excluded, membership, moduleMap, classOrder, classData };
+  }
 
-      return {
-        className: label,
-        videoCompleted: videoCount,
-        pdfCompleted: pdfCount,
-        bothCompleted: bothCount,
-        eitherCompleted: eitherCount,
-        totalEnrolled: students.length
-      };
-    });
+  /**
+   * options:
+   * - job:   receives progress updates when run as a background job
+   * - roles: learner role shortnames to count (null = all enrolled users)
+   * - group: { groupId, groupName } to count only that group's members
+   * - split: also return the class table once per group
+   */
+  async getSingleCourseBreakdown(moodleToken, courseId, courseName, { job = null, roles = null, group = null, split = false } = {}) {
+    logger.debug('Course breakdown started', { courseId, courseName });
 
-    // Unique learners across entire course
-    const uniqueVideoUsers = new Set();
-    const uniquePdfUsers = new Set();
+    const { students, excluded, membership, classOrder, classData } =
+      await this.getCompletionSets(moodleToken, courseId, { job, roles, group });
+
+    const classSummary = classOrder.map(label =>
+      this.summarizeClass(label, classData[label], students.length)
+    );
+
+    const groups = split
+      ? this.splitByGroup(classOrder, classData, students, await this.getSplitGroups(moodleToken, courseId, membership))
+      : undefined;
+
+    // Unique learners across entire course, per activity type
+    const uniqueByType = {};
 
     Object.values(classData).forEach(cls => {
-      cls.video.forEach(id => uniqueVideoUsers.add(id));
-      cls.pdf.forEach(id => uniquePdfUsers.add(id));
+      Object.entries(cls).forEach(([type, ids]) => {
+        uniqueByType[type] ??= new Set();
+        ids.forEach(id => uniqueByType[type].add(id));
+      });
     });
 
-    console.log(`   ✅ Done. ${classSummary.length} classes processed.`);
-    console.log(`   🎥 Unique video learners: ${uniqueVideoUsers.size}`);
-    console.log(`   📄 Unique PDF learners:   ${uniquePdfUsers.size}`);
+    const uniqueVideoUsers = uniqueByType.video || new Set();
+    const uniquePdfUsers = uniqueByType.pdf || new Set();
+
+    logger.debug('Course breakdown finished', {
+      courseId,
+      classes: classSummary.length,
+      uniqueVideoLearners: uniqueVideoUsers.size,
+      uniquePdfLearners: uniquePdfUsers.size
+    });
 
     return {
       courseId,
       courseName,
       totalEnrolled: students.length,
       totalClasses: classSummary.length,
+      roleFilter: { roles, excluded },
+      groupFilter: describeGroupFilter(group, membership),
       summary: {
         uniqueVideoLearners: uniqueVideoUsers.size,
         uniquePdfLearners: uniquePdfUsers.size,
+        uniqueLearnersByType: Object.fromEntries(
+          Object.entries(uniqueByType).map(([type, ids]) => [type, ids.size])
+        ),
         totalClasses: classSummary.length
       },
-      classes: classSummary
+      classes: classSummary,
+      groups
     };
   }
 
   /* ───────────────────────────────────────────── */
 
-  async getAllCoursesCompletionBreakdown(moodleToken, userId) {
-    console.log('\n' + '='.repeat(70));
-    console.log('🚀 CLASS-WISE VIDEO + PDF BREAKDOWN');
-    console.log('='.repeat(70));
-
+  async getAllCoursesCompletionBreakdown(moodleToken, userId, { job = null, roles = null, group = null, split = false } = {}) {
+    const started = Date.now();
     const courses = await moodleService.getUserCourses(moodleToken, userId);
-    console.log(`\n📚 Found ${courses.length} courses\n`);
+    logger.debug('Breakdown started', { userId, courses: courses.length });
+    job?.setCourses(courses.length);
 
     const results = [];
 
     for (let i = 0; i < courses.length; i++) {
       const course = courses[i];
-      console.log(`[${i + 1}/${courses.length}] ${course.fullname}`);
+      logger.debug('Breakdown progress', { course: i + 1, of: courses.length, courseId: course.id });
 
       try {
         const breakdown = await this.getSingleCourseBreakdown(
           moodleToken,
           course.id,
-          course.fullname
+          course.fullname,
+          { job, roles, group, split }
         );
         breakdown.shortname = course.shortname || '';
-        results.push(breakdown);
+
+        // With a group filter, courses that do not have the group are left out
+        if (group && breakdown.groupFilter.matchedGroups.length === 0) {
+          logger.debug('No matching group, course skipped', { courseId: course.id });
+        } else {
+          results.push(breakdown);
+        }
       } catch (err) {
-        console.warn(`   ⚠️  Skipping: ${err.message}`);
+        if (err instanceof JobCancelledError) throw err;
+        logger.warn('Course breakdown skipped', { courseId: course.id, error: err });
+        addWarning({ type: 'skipped', call: 'course breakdown', target: { courseId: course.id }, reason: err.message });
       }
+
+      job?.courseDone();
     }
 
     const grandSummary = {
@@ -248,16 +360,19 @@ class ActivityBreakdownService {
       totalUniquePdfLearners: results.reduce((s, c) => s + c.summary.uniquePdfLearners, 0)
     };
 
-    console.log('\n' + '='.repeat(70));
-    console.log('✅ DONE');
-    console.log(`   Courses: ${grandSummary.totalCourses}`);
-    console.log(`   Unique Video Learners: ${grandSummary.totalUniqueVideoLearners}`);
-    console.log(`   Unique PDF Learners:   ${grandSummary.totalUniquePdfLearners}`);
-    console.log('='.repeat(70) + '\n');
+    const excluded = results.reduce(
+      (total, c) => mergeExcluded(total, c.roleFilter.excluded),
+      { total: 0, byRole: {} }
+    );
+
+    logger.debug('Breakdown finished', { ...grandSummary, durationMs: Date.now() - started });
 
     return {
       summary: grandSummary,
       courses: results,
+      roleFilter: { roles, excluded },
+      groupFilter: group && { ...group, matchedCourses: results.length },
+      warnings: getWarnings(),
       metadata: {
         fetchedAt: new Date().toISOString(),
         fetchedBy: userId,
@@ -266,12 +381,147 @@ class ActivityBreakdownService {
     };
   }
 
-  async getSingleCourseCompletionBreakdown(moodleToken, courseId, userId) {
+  /**
+   * Class-by-class retention. A learner is still progressing at class N
+   * when they completed (video OR pdf, as `eitherCompleted`) every class up
+   * to N. Only video and PDF count, so sections without a video or PDF
+   * module (e.g. quizzes only) are not part of the funnel.
+   *
+   * options:
+   * - roles, group: learner filters
+   * - stoppedAt: class name or 1-based funnel position (not the last class);
+   *              lists the learners who progressed up to that class but not past it
+   * - top:       number of largest drop-offs listed
+   */
+  async getCourseFunnel(moodleToken, courseId, { roles = null, group = null, stoppedAt = null, top = 3 } = {}) {
+    const { students, excluded, membership, moduleMap, classOrder, classData } =
+      await this.getCompletionSets(moodleToken, courseId, { roles, group });
+
+    const tracked = new Set(
+      Object.values(moduleMap)
+        .filter(m => m.type === 'video' || m.type === 'pdf')
+        .map(m => m.classLabel)
+    );
+    const funnelClasses = classOrder.filter(label => tracked.has(label));
+    const total = students.length;
+    const pct = (n, of) => (of > 0 ? Math.round((n / of) * 1000) / 10 : 0);
+
+    let progressing = new Set(students.map(s => s.id));
+    const progressingAt = [];
+
+    const steps = funnelClasses.map((label, index) => {
+      const data = classData[label] || {};
+      const completed = new Set([...(data.video || []), ...(data.pdf || [])]);
+      const previous = progressing;
+
+      progressing = new Set([...previous].filter(id => completed.has(id)));
+      progressingAt.push(progressing);
+
+      return {
+        position: index + 1,
+        className: label,
+        completed: completed.size,
+        progressing: progressing.size,
+        percentOfEnrolled: pct(progressing.size, total),
+        percentOfPrevious: pct(progressing.size, previous.size),
+        droppedOff: previous.size - progressing.size
+      };
+    });
+
+    const largestDropOffs = [...steps]
+      .filter(step => step.droppedOff > 0)
+      .sort((a, b) => b.droppedOff - a.droppedOff || a.percentOfPrevious - b.percentOfPrevious)
+      .slice(0, top)
+      .map(({ position, className, droppedOff, percentOfPrevious }) => ({
+        position,
+        className,
+        droppedOff,
+        dropRate: Math.round((100 - percentOfPrevious) * 10) / 10
+      }));
+
+    let stopped = null;
+    if (stoppedAt !== null) {
+      const index = /^\d+$/.test(String(stoppedAt))
+        ? parseInt(stoppedAt, 10) - 1
+        : funnelClasses.indexOf(stoppedAt);
+
+      if (index < 0 || index >= funnelClasses.length) {
+        throw Object.assign(new Error(`Unknown class "${stoppedAt}"`), { status: 400 });
+      }
+      // Everyone progressing at the last class finished the course
+      if (index === funnelClasses.length - 1) {
+        throw Object.assign(new Error(`"${funnelClasses[index]}" is the last class; learners there finished the course`), { status: 400 });
+      }
+
+      const next = progressingAt[index + 1];
+      const byId = new Map(students.map(s => [s.id, s]));
+
+      stopped = {
+        position: index + 1,
+        className: funnelClasses[index],
+        nextClass: funnelClasses[index + 1],
+        students: [...progressingAt[index]]
+          .filter(id => !next.has(id))
+          .map(id => byId.get(id))
+          .map(s => ({ userId: s.id, fullname: s.fullname, email: s.email || '', lastaccess: s.lastaccess || 0 }))
+          .sort((a, b) => a.fullname.localeCompare(b.fullname))
+      };
+    }
+
+    return {
+      courseId,
+      totalEnrolled: total,
+      classes: steps,
+      largestDropOffs,
+      stoppedAt: stopped,
+      untrackedClasses: classOrder.filter(label => !tracked.has(label)),
+      roleFilter: { roles, excluded },
+      groupFilter: describeGroupFilter(group, membership),
+      warnings: getWarnings()
+    };
+  }
+
+  /**
+   * Preview how every module in a course is classified by the rule set
+   */
+  async getCourseClassification(moodleToken, courseId) {
+    const sections = await moodleService.getCourseContents(moodleToken, courseId);
+    const byType = {};
+
+    const classifiedSections = sections.map(section => ({
+      section: section.name || 'Unknown Section',
+      modules: (section.modules || []).map(mod => {
+        const { type, ruleId, source, facts } = activityClassifier.classify(mod, courseId);
+        const key = type || 'unclassified';
+        byType[key] = (byType[key] || 0) + 1;
+
+        return {
+          moduleId: mod.id,
+          name: mod.name,
+          modname: mod.modname,
+          mimetype: facts.mimetype,
+          urlHost: facts.urlHost,
+          type,
+          ruleId,
+          ruleSource: source
+        };
+      })
+    }));
+
+    return {
+      courseId,
+      summary: { byType },
+      rules: activityClassifier.getRules(courseId).map(({ nameRegex, ...rule }) => rule),
+      sections: classifiedSections
+    };
+  }
+
+  async getSingleCourseCompletionBreakdown(moodleToken, courseId, userId, { roles = null, group = null, split = false } = {}) {
     const courses = await moodleService.getUserCourses(moodleToken, userId);
     const course = courses.find(c => c.id === parseInt(courseId));
     const courseName = course ? course.fullname : `Course ${courseId}`;
 
-    return await this.getSingleCourseBreakdown(moodleToken, courseId, courseName);
+    return await this.getSingleCourseBreakdown(moodleToken, courseId, courseName, { roles, group, split });
   }
 }
 
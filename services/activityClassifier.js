@@ -0,0 +1,97 @@
+// services/activityClassifier.js
+// Decides the activity type of a course module from the configured rule set
+const rules = require('../config/activityRules');
+
+class ActivityClassifier {
+  constructor() {
+    this.rules = rules;
+    this.compiled = new Map();
+  }
+
+  /**
+   * Site rules with the course's overrides applied
+   */
+  getRules(courseId) {
+    const key = String(courseId ?? '');
+    if (this.compiled.has(key)) return this.compiled.get(key);
+
+    const override = this.rules.courses[key];
+    const siteRules = this.rules.site.map(rule => ({ ...rule, source: 'site' }));
+    const courseRules = (override?.rules || []).map(rule => ({ ...rule, source: 'course' }));
+
+    const list = (override?.replace ? courseRules : [...courseRules, ...siteRules])
+      .map(rule => ({
+        ...rule,
+        nameRegex: rule.match.name ? new RegExp(rule.match.name, 'i') : null
+      }));
+
+    this.compiled.set(key, list);
+    return list;
+  }
+
+  /**
+   * Facts about a module that rules can match on
+   */
+  describeModule(mod) {
+    const contents = mod.contents || [];
+    const file = contents.find(c => c.type === 'file' && c.mimetype);
+    const link = contents.find(c => c.type === 'url' && c.fileurl);
+
+    let urlHost = null;
+    if (link) {
+      try {
+        urlHost = new URL(link.fileurl).hostname.toLowerCase().replace(/^www\./, '');
+      } catch {
+        urlHost = null;
+      }
+    }
+
+    return {
+      name: mod.name || '',
+      modname: (mod.modname || '').toLowerCase(),
+      mimetype: file ? file.mimetype.toLowerCase() : null,
+      urlHost
+    };
+  }
+
+  matches(rule, facts) {
+    const { modname, mimetype, urlHost } = rule.match;
+
+    if (modname && !modname.includes(facts.modname)) return false;
+
+    if (mimetype) {
+      if (!facts.mimetype) return false;
+      const ok = mimetype.some(pattern => pattern.endsWith('/*')
+        ? facts.mimetype.startsWith(pattern.slice(0, -1))
+        : facts.mimetype === pattern);
+      if (!ok) return false;
+    }
+
+    if (urlHost) {
+      if (!facts.urlHost) return false;
+      const ok = urlHost.some(host => facts.urlHost === host || facts.urlHost.endsWith(`.${host}`));
+      if (!ok) return false;
+    }
+
+    if (rule.nameRegex && !rule.nameRegex.test(facts.name)) return false;
+
+    return true;
+  }
+
+  /**
+   * Returns { type, ruleId, source, facts }; type is null when no rule matches
+   */
+  classify(mod, courseId) {
+    const facts = this.describeModule(mod);
+    const rule = this.getRules(courseId).find(r => this.matches(r, facts));
+
+    return {
+      type: rule ? rule.type : null,
+      ruleId: rule ? rule.id : null,
+      source: rule ? rule.source : null,
+      facts
+    };
+  }
+}
+
+module.exports = new ActivityClassifier();
@@ -0,0 +1,199 @@
+// services/cacheService.js
+//
+// Response cache for Moodle web-service calls.
+// Keys: moodle:<wsfunction>:<token scope>:<params hash>
+// The token itself is never stored — only a short hash of it (the "scope"),
+// so cached data is never shared between different Moodle tokens.
+//
+const crypto = require('crypto');
+const config = require('../config/moodle');
+const { MemoryLRUBackend, RedisBackend } = require('../utils/cacheBackends');
+const { getContext } = require('../utils/requestContext');
+const logger = require('../utils/logger').child({ module: 'cache' });
+
+const KEY_PREFIX = 'moodle';
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * JSON.stringify with sorted keys, so { a, b } and { b, a } share a key
+ */
+const stableStringify = value => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+class CacheService {
+  constructor() {
+    this.config = config.cache;
+    this.backend = null;
+    this.inflight = new Map();
+    this.stats = {};
+  }
+
+  getBackend() {
+    if (this.backend) return this.backend;
+
+    if (this.config.backend === 'redis') {
+      // ioredis is only needed when the redis backend is selected
+      const Redis = require('ioredis');
+      this.backend = new RedisBackend({ client: new Redis(this.config.redisUrl) });
+    } else {
+      this.backend = new MemoryLRUBackend({ maxEntries: this.config.maxEntries });
+    }
+
+    logger.info('Cache backend ready', { backend: this.backend.name });
+    return this.backend;
+  }
+
+  /**
+   * Swap the storage backend (e.g. a fake Redis client in local setups)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  getTtl(wsfunction) {
+    if (!this.config.enabled) return 0;
+    return this.config.ttl[wsfunction] ?? this.config.defaultTtl;
+  }
+
+  scopeFor(token) {
+    return hash(String(token)).slice(0, 16);
+  }
+
+  buildKey(token, wsfunction, params) {
+    return `${KEY_PREFIX}:${wsfunction}:${this.scopeFor(token)}:${hash(stableStringify(params)).slice(0, 32)}`;
+  }
+
+  record(wsfunction, outcome) {
+    this.stats[wsfunction] ??= { hits: 0, misses: 0, errors: 0 };
+    this.stats[wsfunction][outcome]++;
+
+    const ctx = getContext();
+    if (ctx && outcome !== 'errors') ctx.cache[outcome]++;
+  }
+
+  /**
+   * Return the cached response for this call, or run fetchFn and cache it.
+   * Identical concurrent calls share one in-flight request.
+   */
+  async wrap(token, wsfunction, params, fetchFn) {
+    const ttl = this.getTtl(wsfunction);
+    if (!ttl) return await fetchFn();
+
+    const key = this.buildKey(token, wsfunction, params);
+    const bypass = getContext()?.cache.bypass;
+
+    if (!bypass) {
+      try {
+        const cached = await this.getBackend().get(key);
+        if (cached !== null && cached !== undefined) {
+          this.record(wsfunction, 'hits');
+          return JSON.parse(cached).data;
+        }
+      } catch (err) {
+        this.record(wsfunction, 'errors');
+        logger.warn('Cache read failed', { wsfunction, error: err });
+      }
+
+      if (this.inflight.has(key)) {
+        this.record(wsfunction, 'hits');
+        return await this.inflight.get(key);
+      }
+    }
+
+    this.record(wsfunction, 'misses');
+
+    const promise = (async () => {
+      const data = await fetchFn();
+      try {
+        await this.getBackend().set(
+          key,
+          JSON.stringify({ storedAt: Date.now(), wsfunction, params, data }),
+          ttl
+        );
+      } catch (err) {
+        this.record(wsfunction, 'errors');
+        logger.warn('Cache write failed', { wsfunction, error: err });
+      }
+      return data;
+    })();
+
+    this.inflight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  pattern({ wsfunction, scope } = {}) {
+    return `${KEY_PREFIX}:${wsfunction || '*'}:${scope || '*'}:*`;
+  }
+
+  /**
+   * List cached entries (metadata only, not the cached payloads)
+   */
+  async inspect({ wsfunction, scope, limit = 100 } = {}) {
+    const backend = this.getBackend();
+    const keys = await backend.keys(this.pattern({ wsfunction, scope }));
+    const entries = [];
+
+    for (const key of keys.slice(0, limit)) {
+      const raw = await backend.get(key);
+      if (!raw) continue;
+
+      const { storedAt, params } = JSON.parse(raw);
+      const [, fn, keyScope] = key.split(':');
+      entries.push({
+        key,
+        wsfunction: fn,
+        scope: keyScope,
+        params,
+        storedAt: new Date(storedAt).toISOString(),
+        ttl: await backend.ttl(key),
+        bytes: raw.length
+      });
+    }
+
+    return { total: keys.length, entries };
+  }
+
+  /**
+   * Remove entries, optionally only for one wsfunction and/or token scope
+   */
+  async purge({ wsfunction, scope } = {}) {
+    const backend = this.getBackend();
+    const keys = await backend.keys(this.pattern({ wsfunction, scope }));
+    await Promise.all(keys.map(key => backend.del(key)));
+
+    logger.info('Cache purged', { entries: keys.length, wsfunction: wsfunction || 'all', scope: scope || 'all' });
+    return keys.length;
+  }
+
+  getStats() {
+    const totals = Object.values(this.stats).reduce(
+      (t, s) => ({ hits: t.hits + s.hits, misses: t.misses + s.misses, errors: t.errors + s.errors }),
+      { hits: 0, misses: 0, errors: 0 }
+    );
+    const lookups = totals.hits + totals.misses;
+
+    return {
+      enabled: this.config.enabled,
+      backend: this.getBackend().name,
+      ttl: this.config.ttl,
+      defaultTtl: this.config.defaultTtl,
+      totals: {
+        ...totals,
+        hitRatio: lookups ? Math.round((totals.hits / lookups) * 1000) / 1000 : 0
+      },
+      byFunction: this.stats
+    };
+  }
+}
+
+module.exports = new CacheService();
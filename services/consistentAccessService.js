@@ -1,155 +1,107 @@
 // services/consistentAccessService.js
 //
-// FIXED: Removed lastaccess date filter - now counts all enrolled users
-// as active (since lastaccess always shows current time in Moodle API)
+// Reads real login / course-view days from the Moodle log store when it is
+// configured, or from the local lastaccess snapshot store. Otherwise counts
+// all enrolled users as active (since lastaccess always shows current time
+// in Moodle API).
 //
 const moodleService = require('./moodleService');
+const logStoreService = require('./logStoreService');
+const accessSnapshotService = require('./accessSnapshotService');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { dateKey, eachDay } = require('../utils/timezone');
+const { getDateRange, describeRange } = require('../utils/dateRange');
+const logger = require('../utils/logger').child({ module: 'consistent-access' });
 
-class ConsistentAccessService {
-
-  getDateRange(dateRange, fromDateStr, toDateStr) {
-    const now = new Date();
-    const today = new Date(Date.UTC(
-      now.getUTCFullYear(),
-      now.getUTCMonth(),
-      now.getUTCDate()
-    ));
-
-    switch (dateRange) {
-      case 'today':
-        return {
-          from: Math.floor(today.getTime() / 1000),
-          to: Math.floor(Date.now() / 1000)
-        };
-
-      case 'yesterday': {
-        const yesterday = new Date(today);
-        yesterday.setUTCDate(yesterday.getUTCDate() - 1);
-        return {
-          from: Math.floor(yesterday.getTime() / 1000),
-          to: Math.floor(today.getTime() / 1000)
-        };
-      }
+const NOTES = {
+  logstore:  'Day-wise breakdown counts distinct days with a login or course view in the Moodle log store.',
+  snapshots: 'Day-wise breakdown counts distinct days observed in lastaccess snapshots. See coverage for how much of the range was sampled.',
+  enrolment: 'Active users = all enrolled users who have ever logged in. Day-wise breakdown uses enrolled course count as activity proxy.'
+};
 
-      case 'week': {
-        const weekAgo = new Date(today);
-        weekAgo.setUTCDate(weekAgo.getUTCDate() - 7);
-        return {
-          from: Math.floor(weekAgo.getTime() / 1000),
-          to: Math.floor(Date.now() / 1000)
-        };
-      }
-
-      case 'month': {
-        const monthAgo = new Date(today);
-        monthAgo.setUTCMonth(monthAgo.getUTCMonth() - 1);
-        return {
-          from: Math.floor(monthAgo.getTime() / 1000),
-          to: Math.floor(Date.now() / 1000)
-        };
-      }
-
-      case 'custom': {
-        if (!fromDateStr || !toDateStr) {
-          throw new Error('Custom range requires startDate and endDate');
-        }
-        const fromDate = new Date(`${fromDateStr}T00:00:00Z`);
-        const toDate   = new Date(`${toDateStr}T23:59:59Z`);
-        if (isNaN(fromDate) || isNaN(toDate)) {
-          throw new Error('Invalid date format. Use YYYY-MM-DD');
-        }
-        return {
-          from: Math.floor(fromDate.getTime() / 1000),
-          to:   Math.floor(toDate.getTime()   / 1000)
-        };
-      }
-
-      default:
-        return this.getDateRange('yesterday');
-    }
-  }
+class ConsistentAccessService {
 
-  async getConsistentAccessData(moodleToken, userId, dateRange, startDate, endDate) {
+  /**
+   * options.source: 'auto' | 'logstore' | 'snapshots' | 'enrolment'
+   * options.roles:  learner role shortnames to count (null = all enrolled users)
+   * options.group:  { groupId, groupName } to count only that group's members
+   * options.timezone: IANA timezone for day boundaries (default UTC)
+   * options.days:   N for dateRange=last_n_days
+   */
+  async getConsistentAccessData(moodleToken, userId, dateRange, startDate, endDate, options = {}) {
     try {
-      const range      = this.getDateRange(dateRange, startDate, endDate);
-      const daysInRange = Math.ceil((range.to - range.from) / (24 * 60 * 60));
+      const range      = getDateRange(dateRange, startDate, endDate, options.timezone || 'UTC', { days: options.days });
+      const daysInRange = eachDay(range.from, range.to, range.timezone).length;
 
-      console.log(`[CONSISTENT ACCESS] ${daysInRange} days`);
-      console.log(`[CONSISTENT ACCESS] From: ${new Date(range.from * 1000).toISOString()}`);
-      console.log(`[CONSISTENT ACCESS] To:   ${new Date(range.to   * 1000).toISOString()}`);
+      logger.debug('Consistent access range', {
+        days: daysInRange,
+        from: new Date(range.from * 1000),
+        to: new Date(range.to * 1000),
+        timezone: range.timezone
+      });
 
       // ── Fetch all enrolled users across all courses ───────────────────────
+      const roles = options.roles ?? null;
+      const group = options.group ?? null;
+      let excluded = { total: 0, byRole: {} };
+      let matchedGroups = [];
       let allUsers = [];
 
       try {
-        const siteInfo = await moodleService.getSiteInfo(moodleToken);
-        const courses  = await moodleService.getUserCourses(moodleToken, siteInfo.userid);
-        console.log(`[CONSISTENT ACCESS] Courses: ${courses.length}`);
-
-        const userAccessMap = new Map();
-
-        for (const course of courses) {
-          try {
-            const enrolledUsers = await moodleService.getEnrolledUsers(moodleToken, course.id);
-
-            enrolledUsers.forEach(user => {
-              if (!user.id) return;
-              if (!userAccessMap.has(user.id)) {
-                userAccessMap.set(user.id, {
-                  userId:    user.id,
-                  username:  user.username  || 'Unknown',
-                  fullname:  user.fullname  || 'Unknown User',
-                  email:     user.email     || '',
-                  lastaccess: user.lastaccess || 0,
-                  courses:   []
-                });
-              }
-              userAccessMap.get(user.id).courses.push({
-                courseId:   course.id,
-                courseName: course.fullname,
-                lastaccess: user.lastaccess || 0
-              });
-            });
-
-          } catch (err) {
-            console.warn(`[CONSISTENT ACCESS] Course ${course.id} error:`, err.message);
-          }
-        }
+        const courseUsers = await moodleService.getCourseUsers(moodleToken, { roles, group });
+        ({ excluded, matchedGroups } = courseUsers);
 
-        allUsers = Array.from(userAccessMap.values());
-        console.log(`[CONSISTENT ACCESS] Total unique users: ${allUsers.length}`);
+        allUsers = Array.from(courseUsers.users.values()).map(user => ({
+          userId:     user.id,
+          username:   user.username  || 'Unknown',
+          fullname:   user.fullname  || 'Unknown User',
+          email:      user.email     || '',
+          lastaccess: user.lastaccess || 0,
+          courses:    courseUsers.userCourses.get(user.id) || []
+        }));
+        logger.debug('Course users collected', { users: allUsers.length });
 
       } catch (err) {
-        console.error('[CONSISTENT ACCESS] Fetch error:', err.message);
-        return this.generateEmptyResponse(range, daysInRange);
+        logger.error('Could not collect course users', { error: err });
+        addWarning({ type: 'skipped', call: 'enrolled users', reason: err.message });
+        return this.generateEmptyResponse(
+          range, daysInRange, dateRange, { roles, excluded }, group && { ...group, matchedGroups }
+        );
       }
 
-      // ── ✅ FIX: Do NOT filter by lastaccess date range ────────────────────
-      // Moodle lastaccess always returns current/recent time, not historical.
-      // Instead treat ALL enrolled users as the pool.
-      // uniqueLoggedInUsers = users who have lastaccess > 0 (ever logged in)
-      const activeUsers = allUsers.filter(user => user.lastaccess > 0);
-      console.log(`[CONSISTENT ACCESS] Active users (ever logged in): ${activeUsers.length}`);
-
       // ── Build userLoginDays ───────────────────────────────────────────────
-      const userLoginDays = {};
+      // source: 'auto' picks the best available (logstore → snapshots → enrolment)
+      const source = options.source || 'auto';
+      let dataSource = 'enrolment';
+      let coverage = null;
+      let userLoginDays = null;
 
-      activeUsers.forEach(user => {
-        // Use number of enrolled courses as proxy for activity days
-        // (capped at daysInRange)
-        const estimatedDays = Math.min(user.courses.length, daysInRange);
+      if ((source === 'auto' || source === 'logstore') && logStoreService.isEnabled()) {
+        try {
+          userLoginDays = await this.buildLogStoreLoginDays(allUsers, range);
+          dataSource = 'logstore';
+          coverage = { daysCovered: daysInRange, totalDays: daysInRange, ratio: 1 };
+        } catch (err) {
+          logger.error('Log store query failed, using fallback', { error: err });
+          addWarning({ type: 'degraded', call: 'logstore', reason: `Log store unavailable: ${err.message}` });
+        }
+      }
 
-        userLoginDays[user.userId] = {
-          userId:      user.userId,
-          username:    user.username,
-          fullname:    user.fullname,
-          email:       user.email,
-          uniqueDays:  estimatedDays,
-          totalLogins: user.courses.length,
-          lastaccess:  user.lastaccess,
-          courses:     user.courses
-        };
-      });
+      if (!userLoginDays && (source === 'auto' || source === 'snapshots')) {
+        const result = await this.buildSnapshotLoginDays(allUsers, range);
+        if (source === 'snapshots' || result.coverage.snapshotsInRange > 0) {
+          userLoginDays = result.userLoginDays;
+          coverage = result.coverage;
+          dataSource = 'snapshots';
+        }
+      }
+
+      if (!userLoginDays) {
+        userLoginDays = this.buildProxyLoginDays(allUsers, daysInRange);
+      }
+
+      const activeUsers = Object.values(userLoginDays);
+      logger.debug('Active users', { source: dataSource, users: activeUsers.length });
 
       // ── Consistent users list ─────────────────────────────────────────────
       const consistentUsers = Object.values(userLoginDays)
@@ -160,6 +112,7 @@ class ConsistentAccessService {
           email:       user.email,
           uniqueDays:  user.uniqueDays,
           totalLogins: user.totalLogins,
+          courseViews: user.courseViews,
           consistency: Math.round((user.uniqueDays / daysInRange) * 100),
           lastAccess:  new Date(user.lastaccess * 1000).toISOString(),
           courses:     user.courses
@@ -182,21 +135,22 @@ class ConsistentAccessService {
         });
       }
 
-      const totalCourseAccessEvents = consistentUsers.reduce((s, u) => s + u.totalLogins, 0);
+      const totalLogins = consistentUsers.reduce((s, u) => s + u.totalLogins, 0);
+      const totalCourseAccessEvents = dataSource === 'logstore'
+        ? consistentUsers.reduce((s, u) => s + u.courseViews, 0)
+        : totalLogins;
 
-      console.log(`[CONSISTENT ACCESS] Summary:`);
-      console.log(`   totalUniqueUsers:        ${allUsers.length}`);
-      console.log(`   uniqueLoggedInUsers:      ${activeUsers.length}`);
-      console.log(`   consistentUsers:          ${consistentUsers.length}`);
-      console.log(`   totalCourseAccessEvents:  ${totalCourseAccessEvents}`);
+      logger.debug('Consistent access summary', {
+        totalUniqueUsers: allUsers.length,
+        uniqueLoggedInUsers: activeUsers.length,
+        consistentUsers: consistentUsers.length,
+        totalLogins,
+        totalCourseAccessEvents
+      });
 
       return {
         dateRange: {
-          type:      dateRange,
-          from:      range.from,
-          to:        range.to,
-          fromDate:  new Date(range.from * 1000).toISOString().split('T')[0],
-          toDate:    new Date(range.to   * 1000).toISOString().split('T')[0],
+          ...describeRange(dateRange, range),
           totalDays: daysInRange
         },
         summary: {
@@ -204,6 +158,7 @@ class ConsistentAccessService {
           uniqueLoggedInUsers:      activeUsers.length,
           activeUsers:              activeUsers.length,
           consistentUsers:          consistentUsers.length,
+          totalLogins,
           totalCourseAccessEvents,
           metrics: {
             totalCourseAccess:    totalCourseAccessEvents,
@@ -215,16 +170,134 @@ class ConsistentAccessService {
         },
         dayWiseBreakdown: dayWiseArray,
         users:            consistentUsers,
-        note: "Active users = all enrolled users who have ever logged in. Day-wise breakdown uses enrolled course count as activity proxy."
+        dataSource,
+        coverage,
+        roleFilter:       { roles, excluded },
+        groupFilter:      group && { ...group, matchedGroups },
+        warnings: getWarnings(),
+        note: NOTES[dataSource]
       };
 
     } catch (error) {
-      console.error('[CONSISTENT ACCESS ERROR]', error.message);
+      logger.error('Consistent access failed', { error });
       throw error;
     }
   }
 
-  generateEmptyResponse(range, daysInRange) {
+  /**
+   * Distinct active days per user from log store login + course-view events.
+   * Only users with at least one event in the range are returned.
+   */
+  async buildLogStoreLoginDays(users, range) {
+    const usersById = new Map(users.map(u => [u.userId, u]));
+    const events = await logStoreService.getAccessEvents(range.from, range.to, {
+      userIds: Array.from(usersById.keys())
+    });
+
+    logger.debug('Log store events', { events: events.length });
+
+    const userLoginDays = {};
+
+    events.forEach(event => {
+      const user = usersById.get(event.userid);
+      if (!user) return;
+
+      if (!userLoginDays[user.userId]) {
+        userLoginDays[user.userId] = {
+          userId:      user.userId,
+          username:    user.username,
+          fullname:    user.fullname,
+          email:       user.email,
+          days:        new Set(),
+          uniqueDays:  0,
+          totalLogins: 0,
+          courseViews: 0,
+          lastaccess:  user.lastaccess,
+          courses:     user.courses
+        };
+      }
+
+      const entry = userLoginDays[user.userId];
+      entry.days.add(dateKey(event.timecreated, range.timezone));
+      if (event.action === 'loggedin') entry.totalLogins++;
+      else entry.courseViews++;
+    });
+
+    Object.values(userLoginDays).forEach(entry => {
+      entry.uniqueDays = entry.days.size;
+      delete entry.days;
+    });
+
+    return userLoginDays;
+  }
+
+  /**
+   * Distinct active days per user from the lastaccess snapshot store.
+   * Only users observed active inside the range are returned.
+   */
+  async buildSnapshotLoginDays(users, range) {
+    const usersById = new Map(users.map(u => [u.userId, u]));
+    const { userDays, coverage } = await accessSnapshotService.getActiveDays(
+      range,
+      Array.from(usersById.keys())
+    );
+
+    logger.debug('Snapshot coverage', coverage);
+
+    const userLoginDays = {};
+
+    userDays.forEach((days, id) => {
+      const user = usersById.get(id);
+      if (!user) return;
+
+      userLoginDays[id] = {
+        userId:      user.userId,
+        username:    user.username,
+        fullname:    user.fullname,
+        email:       user.email,
+        uniqueDays:  days.size,
+        totalLogins: days.size,
+        courseViews: 0,
+        lastaccess:  user.lastaccess,
+        courses:     user.courses
+      };
+    });
+
+    return { userLoginDays, coverage };
+  }
+
+  /**
+   * Fallback when no log source is available.
+   * Moodle lastaccess always returns current/recent time, not historical,
+   * so all enrolled users who have ever logged in form the pool and the
+   * number of enrolled courses is used as a proxy for activity days.
+   */
+  buildProxyLoginDays(users, daysInRange) {
+    const userLoginDays = {};
+
+    users
+      .filter(user => user.lastaccess > 0)
+      .forEach(user => {
+        userLoginDays[user.userId] = {
+          userId:      user.userId,
+          username:    user.username,
+          fullname:    user.fullname,
+          email:       user.email,
+          uniqueDays:  Math.min(user.courses.length, daysInRange),
+          totalLogins: user.courses.length,
+          courseViews: 0,
+          lastaccess:  user.lastaccess,
+          courses:     user.courses
+        };
+      });
+
+    return userLoginDays;
+  }
+
+  /**
+   * Zero counts for the range; rangeType is the requested dateRange preset
+   */
+  generateEmptyResponse(range, daysInRange, rangeType = 'custom', roleFilter = { roles: null, excluded: { total: 0, byRole: {} } }, groupFilter = null) {
     const dayWiseArray = [];
     for (let days = daysInRange; days >= 1; days--) {
       dayWiseArray.push({
@@ -235,11 +308,7 @@ class ConsistentAccessService {
     }
     return {
       dateRange: {
-        type:      'custom',
-        from:      range.from,
-        to:        range.to,
-        fromDate:  new Date(range.from * 1000).toISOString().split('T')[0],
-        toDate:    new Date(range.to   * 1000).toISOString().split('T')[0],
+        ...describeRange(rangeType, range),
         totalDays: daysInRange
       },
       summary: {
@@ -247,11 +316,17 @@ class ConsistentAccessService {
         uniqueLoggedInUsers:     0,
         activeUsers:             0,
         consistentUsers:         0,
+        totalLogins:             0,
         totalCourseAccessEvents: 0,
         metrics: { totalCourseAccess: 0, uniqueUsers: 0, averageAccessPerUser: 0 }
       },
       dayWiseBreakdown: dayWiseArray,
       users: [],
+      dataSource: null,
+      coverage: null,
+      roleFilter,
+      groupFilter,
+      warnings: getWarnings(),
       note: "No data available for this date range"
     };
   }
@@ -0,0 +1,450 @@
+// services/exportService.js
+//
+// CSV / XLSX / PDF export of generated reports.
+//
+// Every export is described as a document:
+//   { title, filename, meta: { dateRange, generatedAt }, tables: [table] }
+//   table = { name, columns: [{ header, key, width? }], rows: [object] }
+//
+// Writers stream rows straight to the response instead of building the
+// whole file in memory first.
+//
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const CLASS_COLUMNS = [
+  { header: 'Class', key: 'className', width: 32 },
+  { header: 'Video Completed', key: 'videoCompleted', width: 16 },
+  { header: 'PDF Completed', key: 'pdfCompleted', width: 16 },
+  { header: 'Both Completed', key: 'bothCompleted', width: 16 },
+  { header: 'Either Completed', key: 'eitherCompleted', width: 16 },
+  { header: 'Total Enrolled', key: 'totalEnrolled', width: 14 },
+  { header: 'Completion Rate (%)', key: 'completionRate', width: 18 }
+];
+
+// Rows drawn / added between checks for backpressure or a disconnected client
+const ROWS_PER_FLUSH = 100;
+
+/**
+ * Wait until the stream can take more data (after a turn of the event loop
+ * when it is not full). Resolves false once the client has gone away.
+ */
+const drained = stream => new Promise((resolve, reject) => {
+  if (stream.destroyed) return resolve(false);
+  if (!stream.writableNeedDrain) return setImmediate(() => resolve(!stream.destroyed));
+
+  const settle = (fn, value) => {
+    stream.off('drain', onDrain);
+    stream.off('close', onClose);
+    stream.off('error', onError);
+    fn(value);
+  };
+  const onDrain = () => settle(resolve, true);
+  const onClose = () => settle(resolve, false);
+  const onError = err => settle(reject, err);
+
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+  stream.once('error', onError);
+});
+
+/**
+ * Write a chunk, waiting for the buffer to drain on backpressure. Resolves
+ * false once the client has disconnected, so callers stop producing rows.
+ */
+const write = async (stream, chunk) => {
+  if (stream.destroyed) return false;
+  if (stream.write(chunk)) return true;
+  return await drained(stream);
+};
+
+/**
+ * Resolves when the response has finished or the client disconnected,
+ * rejects on a response error
+ */
+const responseDone = res => new Promise((resolve, reject) => {
+  if (res.writableFinished || res.destroyed) return resolve();
+  res.once('finish', resolve);
+  res.once('close', resolve);
+  res.once('error', reject);
+});
+
+/**
+ * Quote a CSV cell; neutralise values that spreadsheets would run as formulas
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique per workbook
+const sheetName = (name, used) => {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Sheet';
+  let candidate = base;
+  for (let i = 2; used.has(candidate); i++) {
+    const suffix = ` (${i})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate);
+  return candidate;
+};
+
+const withRate = (cls) => ({
+  ...cls,
+  completionRate: cls.completionRate ?? (cls.totalEnrolled
+    ? Math.round((cls.eitherCompleted / cls.totalEnrolled) * 100)
+    : 0)
+});
+
+class ExportService {
+  constructor() {
+    this.FORMATS = FORMATS;
+  }
+
+  isValidFormat(format) {
+    return FORMATS.includes(format);
+  }
+
+  /* ─────────────────────────────────────────────
+     DOCUMENT BUILDERS
+  ───────────────────────────────────────────── */
+
+  /**
+   * Tables for a /api/reports/generate result
+   */
+  buildReportDocument(report) {
+    const { dateRange, accessSummary, loginConsistency, coursesOverview, activityBreakdown } = report;
+
+    const tables = [
+      {
+        name: 'Access Summary',
+        columns: [
+          { header: 'Metric', key: 'metric', width: 24 },
+          { header: 'Value', key: 'value', width: 12 }
+        ],
+        rows: [
+          { metric: 'Total Users', value: accessSummary.totalUsers },
+          { metric: 'Active Users', value: accessSummary.activeUsers },
+          { metric: 'Consistent Users', value: accessSummary.consistentUsers },
+          { metric: 'Total Logins', value: accessSummary.totalLogins }
+        ]
+      },
+      {
+        name: 'Login Consistency',
+        columns: [
+          { header: 'Date', key: 'date', width: 14 },
+          { header: 'Active Students', key: 'count', width: 16 }
+        ],
+        rows: loginConsistency
+      },
+      {
+        name: 'Courses Overview',
+        columns: [
+          { header: 'Course ID', key: 'courseId', width: 10 },
+          { header: 'Course', key: 'courseName', width: 40 },
+          { header: 'Short Name', key: 'shortname', width: 14 },
+          { header: 'Progress (%)', key: 'progress', width: 14 }
+        ],
+        rows: coursesOverview
+      },
+      this.buildActivityTable(activityBreakdown),
+      ...this.buildClassTables(activityBreakdown)
+    ];
+
+    return {
+      title: 'Moodle Activity Report',
+      filename: `report_${dateRange.fromDate}_${dateRange.toDate}`,
+      meta: {
+        dateRange: `${dateRange.fromDate} to ${dateRange.toDate}`,
+        generatedAt: report.generatedAt
+      },
+      tables
+    };
+  }
+
+  /**
+   * Tables for an /api/activity-breakdown result (all courses or one course)
+   */
+  buildBreakdownDocument(data) {
+    const courses = data.courses || [data];
+    const fetchedAt = data.metadata?.fetchedAt || new Date().toISOString();
+
+    const tables = [
+      {
+        name: 'Courses',
+        columns: [
+          { header: 'Course ID', key: 'courseId', width: 10 },
+          { header: 'Course', key: 'courseName', width: 40 },
+          { header: 'Total Enrolled', key: 'totalEnrolled', width: 14 },
+          { header: 'Total Classes', key: 'totalClasses', width: 14 },
+          { header: 'Unique Video Learners', key: 'uniqueVideoLearners', width: 20 },
+          { header: 'Unique PDF Learners', key: 'uniquePdfLearners', width: 20 }
+        ],
+        rows: courses.map(c => ({
+          courseId: c.courseId,
+          courseName: c.courseName,
+          totalEnrolled: c.totalEnrolled,
+          totalClasses: c.totalClasses,
+          uniqueVideoLearners: c.summary?.uniqueVideoLearners ?? 0,
+          uniquePdfLearners: c.summary?.uniquePdfLearners ?? 0
+        }))
+      },
+      ...this.buildClassTables(courses)
+    ];
+
+    return {
+      title: 'Class-wise Activity Breakdown',
+      filename: data.courses
+        ? `activity-breakdown_${fetchedAt.split('T')[0]}`
+        : `activity-breakdown_course-${data.courseId}_${fetchedAt.split('T')[0]}`,
+      meta: { dateRange: 'All time', generatedAt: fetchedAt },
+      tables
+    };
+  }
+
+  /**
+   * Tables for an /api/grades/:courseId result: item statistics and the
+   * per-student grade table (one column per grade item)
+   */
+  buildGradesDocument(data) {
+    const items = data.courseTotal ? [...data.items, data.courseTotal] : data.items;
+
+    const tables = [
+      {
+        name: 'Students',
+        columns: [
+          { header: 'Student', key: 'fullname', width: 28 },
+          { header: 'Email', key: 'email', width: 28 },
+          ...items.map(item => ({ header: item.itemName, key: `item_${item.itemId}`, width: 14 }))
+        ],
+        rows: data.students.map(student => ({
+          fullname: student.fullname,
+          email: student.email,
+          ...Object.fromEntries(items.map(item => [`item_${item.itemId}`, student.grades[item.itemId] ?? '']))
+        }))
+      },
+      {
+        name: 'Grade Items',
+        columns: [
+          { header: 'Item', key: 'itemName', width: 32 },
+          { header: 'Graded', key: 'graded', width: 10 },
+          { header: 'Mean', key: 'mean', width: 10 },
+          { header: 'Median', key: 'median', width: 10 },
+          { header: 'Std Dev', key: 'stddev', width: 10 },
+          { header: 'Min', key: 'min', width: 10 },
+          { header: 'Max', key: 'max', width: 10 },
+          { header: 'Grade to Pass', key: 'gradePass', width: 14 },
+          { header: 'Pass Rate (%)', key: 'passRate', width: 14 }
+        ],
+        rows: items.map(item => ({
+          itemName: item.itemName,
+          graded: item.graded,
+          ...item.stats,
+          gradePass: item.gradePass,
+          passRate: item.passRate
+        }))
+      }
+    ];
+
+    return {
+      title: `Grade Analytics - Course ${data.courseId}`,
+      filename: `grades_course-${data.courseId}_${data.generatedAt.split('T')[0]}`,
+      meta: { dateRange: 'All time', generatedAt: data.generatedAt },
+      tables
+    };
+  }
+
+  /**
+   * One flat table of every course's classes
+   */
+  buildActivityTable(courses) {
+    return {
+      name: 'Activity Breakdown',
+      columns: [{ header: 'Course', key: 'courseName', width: 32 }, ...CLASS_COLUMNS],
+      rows: courses.flatMap(course =>
+        course.classes.map(cls => ({ courseName: course.courseName, ...withRate(cls) }))
+      )
+    };
+  }
+
+  /**
+   * One class table per course, followed by one per group when the
+   * result was split by group
+   */
+  buildClassTables(courses) {
+    return courses.flatMap(course => {
+      const name = course.shortname || course.courseName || `Course ${course.courseId}`;
+
+      return [
+        { name, title: course.courseName, columns: CLASS_COLUMNS, rows: course.classes.map(withRate) },
+        ...(course.groups || []).map(group => ({
+          name: `${name} - ${group.groupName}`,
+          title: `${course.courseName} - ${group.groupName}`,
+          columns: CLASS_COLUMNS,
+          rows: group.classes.map(withRate)
+        }))
+      ];
+    });
+  }
+
+  /* ─────────────────────────────────────────────
+     WRITERS
+  ───────────────────────────────────────────── */
+
+  /**
+   * Stream the document to the response in the requested format
+   */
+  async send(res, format, doc) {
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${doc.filename}.${format}"`);
+
+    if (format === 'csv') return await this.streamCsv(res, doc);
+    if (format === 'xlsx') return await this.streamXlsx(res, doc);
+    if (format === 'pdf') return await this.streamPdf(res, doc);
+
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  /**
+   * All tables in one file, each preceded by its name and separated by a blank line
+   */
+  async streamCsv(res, doc) {
+    const header = [
+      '\uFEFF', // BOM so Excel detects UTF-8
+      `${csvCell(doc.title)}\r\n`,
+      `Date Range,${csvCell(doc.meta.dateRange)}\r\n`,
+      `Generated At,${csvCell(doc.meta.generatedAt)}\r\n`
+    ].join('');
+    if (!await write(res, header)) return;
+
+    for (const table of doc.tables) {
+      if (!await write(res, `\r\n${csvCell(table.title || table.name)}\r\n`)) return;
+      if (!await write(res, table.columns.map(c => csvCell(c.header)).join(',') + '\r\n')) return;
+      for (const row of table.rows) {
+        // Client disconnected: stop instead of formatting the remaining rows
+        if (!await write(res, table.columns.map(c => csvCell(row[c.key])).join(',') + '\r\n')) return;
+      }
+    }
+
+    res.end();
+  }
+
+  /**
+   * One worksheet per table, rows committed as they are written
+   */
+  async streamXlsx(res, doc) {
+    const done = responseDone(res);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    workbook.creator = 'Moodle Backend API';
+    workbook.created = new Date(doc.meta.generatedAt);
+
+    const used = new Set();
+
+    for (const table of doc.tables) {
+      const sheet = workbook.addWorksheet(sheetName(table.name, used), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      });
+      sheet.columns = table.columns.map(c => ({ header: c.header, key: c.key, width: c.width || 14 }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for (const [i, row] of table.rows.entries()) {
+        if (i % ROWS_PER_FLUSH === 0 && !await drained(res)) return await done;
+        sheet.addRow(row).commit();
+      }
+      sheet.commit();
+    }
+
+    // The zip stream stalls once the client is gone, so do not wait on it alone
+    await Promise.race([workbook.commit(), done]);
+  }
+
+  /**
+   * Printable landscape layout: title, date range and generation time in
+   * the header of every page, one section per table
+   */
+  async streamPdf(res, doc) {
+    const pdf = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: false });
+    const finished = new Promise((resolve, reject) => {
+      responseDone(res).then(resolve, reject);
+      pdf.on('error', reject);
+    });
+    pdf.pipe(res);
+
+    const left = pdf.page.margins.left;
+    const usableWidth = pdf.page.width - left - pdf.page.margins.right;
+    const bottom = () => pdf.page.height - pdf.page.margins.bottom;
+    const rowHeight = 16;
+
+    const pageHeader = () => {
+      pdf.font('Helvetica-Bold').fontSize(14).text(doc.title, left, pdf.page.margins.top);
+      pdf.font('Helvetica').fontSize(9)
+        .text(`Date range: ${doc.meta.dateRange}    Generated: ${new Date(doc.meta.generatedAt).toLocaleString('en-GB', { timeZone: 'UTC' })} UTC`);
+      pdf.moveDown(0.8);
+    };
+
+    const drawRow = (table, widths, values, bold) => {
+      if (pdf.y + rowHeight > bottom()) {
+        pdf.addPage();
+        pageHeader();
+        if (!bold) drawRow(table, widths, table.columns.map(c => c.header), true);
+      }
+
+      const y = pdf.y;
+      let x = left;
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      values.forEach((value, i) => {
+        pdf.text(value === null || value === undefined ? '' : String(value), x + 2, y + 4, {
+          width: widths[i] - 4,
+          height: rowHeight - 4,
+          ellipsis: true,
+          lineBreak: false
+        });
+        x += widths[i];
+      });
+      pdf.moveTo(left, y + rowHeight).lineTo(left + usableWidth, y + rowHeight)
+        .lineWidth(0.3).strokeColor('#cccccc').stroke();
+      pdf.x = left;
+      pdf.y = y + rowHeight;
+    };
+
+    pageHeader();
+
+    for (const table of doc.tables) {
+      if (pdf.y + rowHeight * 3 > bottom()) {
+        pdf.addPage();
+        pageHeader();
+      }
+
+      pdf.moveDown(0.5);
+      pdf.font('Helvetica-Bold').fontSize(11).text(table.title || table.name, left);
+      pdf.moveDown(0.3);
+
+      const totalWidth = table.columns.reduce((s, c) => s + (c.width || 14), 0);
+      const widths = table.columns.map(c => ((c.width || 14) / totalWidth) * usableWidth);
+
+      drawRow(table, widths, table.columns.map(c => c.header), true);
+      for (const [i, row] of table.rows.entries()) {
+        // Let the document flow out (and notice a disconnect) as it is drawn
+        if (i % ROWS_PER_FLUSH === 0 && !await drained(res)) break;
+        drawRow(table, widths, table.columns.map(c => row[c.key]), false);
+      }
+      if (res.destroyed) break;
+    }
+
+    pdf.end();
+    await finished;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,167 @@
+// services/forumService.js
+// Forum engagement per course: discussions, replies, participants, unanswered threads
+const moodleService = require('./moodleService');
+const activityBreakdownService = require('./activityBreakdownService');
+const { filterLearners } = require('../utils/roleFilter');
+const { filterByGroup, describeGroupFilter } = require('../utils/groupFilter');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { round } = require('../utils/stats');
+const logger = require('../utils/logger').child({ module: 'forums' });
+
+const DAY = 24 * 60 * 60;
+
+class ForumService {
+
+  /**
+   * Forum modules of a course, labelled with their class (section) name
+   */
+  findForums(sections) {
+    const forums = [];
+
+    for (const section of sections) {
+      (section.modules || [])
+        .filter(mod => mod.modname === 'forum')
+        .forEach(mod => forums.push({
+          forumId: mod.instance,
+          cmid: mod.id,
+          name: mod.name,
+          className: section.name || 'Unknown Section'
+        }));
+    }
+
+    return forums;
+  }
+
+  /**
+   * Posts of the discussions that had activity inside the range. A
+   * discussion last modified before the range cannot have posts in it,
+   * so its posts are not fetched.
+   */
+  async getPostsInRange(moodleToken, courseId, discussions, range) {
+    const active = discussions.filter(d => (d.timemodified || d.modified || d.created) >= range.from);
+
+    const perDiscussion = await activityBreakdownService.processInBatches(active, 10, async (discussion) => {
+      try {
+        const { posts = [] } = await moodleService.getDiscussionPosts(moodleToken, discussion.discussion);
+        return posts.filter(p => p.timecreated >= range.from && p.timecreated <= range.to);
+      } catch (err) {
+        addWarning({
+          type: 'skipped',
+          call: 'mod_forum_get_discussion_posts',
+          target: { courseId, discussionId: discussion.discussion },
+          reason: err.message
+        });
+        return [];
+      }
+    });
+
+    return perDiscussion.flat();
+  }
+
+  /**
+   * options:
+   * - roles:          learner role shortnames counted as learners (null = everyone)
+   * - group:          { groupId, groupName } to count only that group's members
+   * - unansweredDays: discussions without replies older than this are listed
+   * - top:            number of most active participants to list
+   */
+  async getForumEngagement(moodleToken, courseId, range, { roles = null, group = null, unansweredDays = 7, top = 10 } = {}) {
+    const [sections, enrolled] = await Promise.all([
+      moodleService.getCourseContents(moodleToken, courseId),
+      moodleService.getEnrolledUsers(moodleToken, courseId)
+    ]);
+
+    const { learners, excluded } = filterLearners(enrolled, roles);
+    const membership = await moodleService.resolveGroupFilter(moodleToken, courseId, group);
+    const students = filterByGroup(learners, membership?.userIds);
+    const studentsById = new Map(students.map(s => [s.id, s]));
+
+    const forums = this.findForums(sections);
+    logger.debug('Computing forum engagement', { courseId, forums: forums.length, learners: students.length });
+
+    const unansweredBefore = Math.floor(Date.now() / 1000) - unansweredDays * DAY;
+    const postsByUser = new Map();
+    const unanswered = [];
+    const forumRows = [];
+
+    for (const forum of forums) {
+      let discussions = [];
+      try {
+        ({ discussions = [] } = await moodleService.getForumDiscussions(moodleToken, forum.forumId));
+      } catch (err) {
+        logger.warn('Forum skipped', { forumId: forum.forumId, error: err });
+        addWarning({
+          type: 'skipped',
+          call: 'mod_forum_get_forum_discussions',
+          target: { courseId, forumId: forum.forumId },
+          reason: err.message
+        });
+        continue;
+      }
+
+      const posts = await this.getPostsInRange(moodleToken, courseId, discussions, range);
+      const replies = posts.filter(p => p.hasparent || p.parentid);
+      const posters = new Set();
+
+      posts.forEach(post => {
+        const userId = post.author?.id ?? post.userid;
+        if (!studentsById.has(userId)) return;
+        posters.add(userId);
+        postsByUser.set(userId, (postsByUser.get(userId) || 0) + 1);
+      });
+
+      discussions
+        .filter(d => (d.numreplies || 0) === 0 && d.created < unansweredBefore)
+        .forEach(d => unanswered.push({
+          forumId: forum.forumId,
+          forumName: forum.name,
+          discussionId: d.discussion,
+          subject: d.name || d.subject,
+          author: d.userfullname || null,
+          created: d.created,
+          ageDays: Math.floor((Date.now() / 1000 - d.created) / DAY)
+        }));
+
+      forumRows.push({
+        ...forum,
+        totalDiscussions: discussions.length,
+        discussions: discussions.filter(d => d.created >= range.from && d.created <= range.to).length,
+        replies: replies.length,
+        learnersPosted: posters.size
+      });
+    }
+
+    const topParticipants = [...postsByUser.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([userId, count]) => ({
+        userId,
+        fullname: studentsById.get(userId).fullname,
+        posts: count
+      }));
+
+    unanswered.sort((a, b) => a.created - b.created);
+
+    return {
+      courseId,
+      totalStudents: students.length,
+      summary: {
+        totalForums: forumRows.length,
+        discussions: forumRows.reduce((s, f) => s + f.discussions, 0),
+        replies: forumRows.reduce((s, f) => s + f.replies, 0),
+        learnersPosted: postsByUser.size,
+        postedShare: students.length ? round((postsByUser.size / students.length) * 100, 1) : 0,
+        unanswered: unanswered.length
+      },
+      forums: forumRows,
+      topParticipants,
+      unanswered,
+      unansweredDays,
+      roleFilter: { roles, excluded },
+      groupFilter: describeGroupFilter(group, membership),
+      warnings: getWarnings()
+    };
+  }
+}
+
+module.exports = new ForumService();
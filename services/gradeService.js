@@ -0,0 +1,141 @@
+// services/gradeService.js
+// Grade distributions, summary statistics and pass rates per grade item
+const moodleService = require('./moodleService');
+const activityBreakdownService = require('./activityBreakdownService');
+const { filterLearners } = require('../utils/roleFilter');
+const { filterByGroup, describeGroupFilter } = require('../utils/groupFilter');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { round, describe, histogram } = require('../utils/stats');
+const logger = require('../utils/logger').child({ module: 'grades' });
+
+class GradeService {
+
+  /**
+   * Grade on a 0–100 scale of the item's own range
+   */
+  toPercent(grade, item) {
+    const range = item.gradeMax - item.gradeMin;
+    return range > 0 ? ((grade - item.gradeMin) / range) * 100 : null;
+  }
+
+  /**
+   * Distribution, statistics and pass rate of one grade item
+   */
+  analyzeItem(item, edges) {
+    const percents = item.values
+      .map(v => this.toPercent(v, item))
+      .filter(p => p !== null);
+
+    const hasPass = item.gradePass !== null && item.gradePass > 0;
+    const passed = hasPass ? item.values.filter(v => v >= item.gradePass).length : null;
+
+    const percentStats = describe(percents);
+
+    return {
+      itemId: item.itemId,
+      itemName: item.itemName,
+      itemType: item.itemType,
+      itemModule: item.itemModule,
+      cmid: item.cmid,
+      gradeMin: item.gradeMin,
+      gradeMax: item.gradeMax,
+      gradePass: item.gradePass,
+      graded: item.values.length,
+      stats: describe(item.values),
+      stddevPercent: percentStats.stddev,
+      passed,
+      passRate: hasPass && item.values.length
+        ? round((passed / item.values.length) * 100, 1)
+        : null,
+      histogram: histogram(percents, edges)
+    };
+  }
+
+  /**
+   * options:
+   * - roles: learner role shortnames to include (null = all enrolled users)
+   * - group: { groupId, groupName } to include only that group's members
+   * - edges: histogram bin edges on the 0–100 scale (see utils/stats parseBins)
+   * - top:   how many items to list under largestSpread
+   */
+  async getGradeAnalytics(moodleToken, courseId, { roles = null, group = null, edges, top = 5 } = {}) {
+    const enrolled = await moodleService.getEnrolledUsers(moodleToken, courseId);
+    const { learners, excluded } = filterLearners(enrolled, roles);
+    const membership = await moodleService.resolveGroupFilter(moodleToken, courseId, group);
+    const students = filterByGroup(learners, membership?.userIds);
+
+    logger.debug('Computing grade analytics', { courseId, students: students.length });
+
+    // itemId → item with every student's raw grade
+    const items = new Map();
+    const rows = [];
+
+    await activityBreakdownService.processInBatches(students, 20, async (student) => {
+      try {
+        const grades = await moodleService.getUserGrades(moodleToken, courseId, student.id);
+        const row = { userId: student.id, fullname: student.fullname, email: student.email || '', grades: {} };
+
+        (grades?.usergrades?.[0]?.gradeitems || []).forEach(gi => {
+          if (!items.has(gi.id)) {
+            items.set(gi.id, {
+              itemId: gi.id,
+              itemName: gi.itemname || (gi.itemtype === 'course' ? 'Course total' : `Item ${gi.id}`),
+              itemType: gi.itemtype,
+              itemModule: gi.itemmodule || null,
+              cmid: gi.cmid || null,
+              gradeMin: gi.grademin ?? 0,
+              gradeMax: gi.grademax ?? 100,
+              gradePass: gi.gradepass ?? null,
+              values: []
+            });
+          }
+
+          if (gi.graderaw !== null && gi.graderaw !== undefined) {
+            items.get(gi.id).values.push(gi.graderaw);
+            row.grades[gi.id] = gi.graderaw;
+          }
+        });
+
+        rows.push(row);
+      } catch (err) {
+        addWarning({
+          type: 'skipped',
+          call: 'gradereport_user_get_grade_items',
+          target: { courseId, userId: student.id },
+          reason: err.message
+        });
+      }
+    });
+
+    const analyzed = [...items.values()].map(item => this.analyzeItem(item, edges));
+    const courseTotal = analyzed.find(i => i.itemType === 'course') || null;
+    const gradeItems = analyzed.filter(i => i.itemType !== 'course' && i.itemType !== 'category');
+
+    const largestSpread = gradeItems
+      .filter(i => i.stddevPercent !== null)
+      .sort((a, b) => b.stddevPercent - a.stddevPercent)
+      .slice(0, top)
+      .map(({ itemId, itemName, stddevPercent, stats }) => ({ itemId, itemName, stddevPercent, stddev: stats.stddev }));
+
+    rows.sort((a, b) => a.fullname.localeCompare(b.fullname));
+
+    return {
+      courseId,
+      totalStudents: students.length,
+      bins: edges,
+      items: gradeItems,
+      courseTotal,
+      largestSpread,
+      students: rows.map(row => ({
+        ...row,
+        courseTotal: courseTotal ? row.grades[courseTotal.itemId] ?? null : null
+      })),
+      roleFilter: { roles, excluded },
+      groupFilter: describeGroupFilter(group, membership),
+      warnings: getWarnings(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new GradeService();
@@ -0,0 +1,234 @@
+// services/insightsService.js
+// At-risk learner scoring from access, class progress, grades and quiz attempts
+const config = require('../config/moodle');
+const activityBreakdownService = require('./activityBreakdownService');
+const gradeService = require('./gradeService');
+const quizService = require('./quizService');
+const { describeGroupFilter } = require('../utils/groupFilter');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { round, describe } = require('../utils/stats');
+
+const DAY = 24 * 60 * 60;
+
+const SORTS = {
+  score: s => s.score,
+  daysSinceAccess: s => s.signals.daysSinceAccess ?? Infinity,
+  classesBehind: s => s.signals.classesBehind,
+  name: s => s.fullname.toLowerCase()
+};
+
+class InsightsService {
+  constructor() {
+    this.SORTS = Object.keys(SORTS);
+  }
+
+  /**
+   * Classes (video OR pdf completed, as in the class table) per student
+   */
+  countClassesCompleted(students, classOrder, classData) {
+    const counts = new Map(students.map(s => [s.id, 0]));
+
+    classOrder.forEach(label => {
+      const data = classData[label] || {};
+      const either = new Set([...(data.video || []), ...(data.pdf || [])]);
+      either.forEach(id => {
+        if (counts.has(id)) counts.set(id, counts.get(id) + 1);
+      });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Grade items below gradepass per student (null when grades are unavailable)
+   */
+  async countGradesBelowPass(moodleToken, courseId, roles, group) {
+    try {
+      const grades = await gradeService.getGradeAnalytics(moodleToken, courseId, { roles, group, edges: [0, 100] });
+      const passItems = grades.items.filter(item => item.gradePass !== null && item.gradePass > 0);
+
+      return new Map(grades.students.map(student => [
+        student.userId,
+        passItems.filter(item => {
+          const grade = student.grades[item.itemId];
+          return grade !== undefined && grade < item.gradePass;
+        }).length
+      ]));
+    } catch (err) {
+      addWarning({ type: 'degraded', call: 'at-risk grades', target: { courseId }, reason: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Quizzes started but never finished per student (null when unavailable)
+   */
+  async countUnfinishedQuizzes(moodleToken, courseId, roles, group) {
+    try {
+      const quizzes = await quizService.getQuizAnalytics(moodleToken, courseId, { roles, group });
+      const counts = new Map();
+
+      quizzes.quizzes.forEach(quiz => quiz.unfinished.forEach(({ userId }) => {
+        counts.set(userId, (counts.get(userId) || 0) + 1);
+      }));
+
+      return counts;
+    } catch (err) {
+      addWarning({ type: 'degraded', call: 'at-risk quizzes', target: { courseId }, reason: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Score one learner. Each available signal contributes
+   * weight × min(value / threshold, 1); reasons list the signals at or
+   * above their threshold.
+   */
+  scoreStudent(signals, available, thresholds, weights) {
+    const checks = [
+      {
+        signal: 'inactivity',
+        value: signals.daysSinceAccess === null ? Infinity : signals.daysSinceAccess,
+        threshold: thresholds.inactiveDays,
+        message: signals.daysSinceAccess === null
+          ? 'Has never accessed the site'
+          : `No access for ${signals.daysSinceAccess} days`
+      },
+      {
+        signal: 'classesBehind',
+        value: signals.classesBehind,
+        threshold: thresholds.classesBehind,
+        message: `${signals.classesBehind} classes behind the course median`
+      },
+      {
+        signal: 'grades',
+        value: signals.gradesBelowPass,
+        threshold: thresholds.gradesBelowPass,
+        message: `${signals.gradesBelowPass} grade items below the pass grade`
+      },
+      {
+        signal: 'quizzes',
+        value: signals.unfinishedQuizzes,
+        threshold: thresholds.unfinishedQuizzes,
+        message: `${signals.unfinishedQuizzes} quizzes started but not finished`
+      }
+    ].filter(check => available[check.signal]);
+
+    let weighted = 0;
+    let totalWeight = 0;
+    const reasons = [];
+
+    checks.forEach(check => {
+      const weight = weights[check.signal] || 0;
+      const severity = check.threshold > 0 ? Math.min(check.value / check.threshold, 1) : 0;
+
+      totalWeight += weight;
+      weighted += weight * severity;
+
+      if (check.threshold > 0 && check.value >= check.threshold) {
+        reasons.push({
+          signal: check.signal,
+          value: check.value === Infinity ? null : check.value,
+          threshold: check.threshold,
+          message: check.message
+        });
+      }
+    });
+
+    return {
+      score: totalWeight > 0 ? round((weighted / totalWeight) * 100, 1) : 0,
+      reasons
+    };
+  }
+
+  /**
+   * options:
+   * - roles, group: learner filters
+   * - thresholds, weights: override config.atRisk per request
+   * - all:   include learners that are not flagged
+   * - sort:  one of SORTS (default score); order 'asc' | 'desc'
+   */
+  async getAtRisk(moodleToken, courseId, {
+    roles = null,
+    group = null,
+    thresholds = {},
+    weights = {},
+    all = false,
+    sort = 'score',
+    order = 'desc'
+  } = {}) {
+    thresholds = { ...config.atRisk.thresholds, ...thresholds };
+    weights = { ...config.atRisk.weights, ...weights };
+
+    const { students, excluded, membership, classOrder, classData } =
+      await activityBreakdownService.getCompletionSets(moodleToken, courseId, { roles, group });
+
+    const classesCompleted = this.countClassesCompleted(students, classOrder, classData);
+    const medianClasses = describe([...classesCompleted.values()]).median ?? 0;
+
+    const [belowPass, unfinished] = await Promise.all([
+      this.countGradesBelowPass(moodleToken, courseId, roles, group),
+      this.countUnfinishedQuizzes(moodleToken, courseId, roles, group)
+    ]);
+
+    const available = {
+      inactivity: true,
+      classesBehind: classOrder.length > 0,
+      grades: belowPass !== null,
+      quizzes: unfinished !== null
+    };
+
+    const now = Math.floor(Date.now() / 1000);
+
+    const scored = students.map(student => {
+      const completed = classesCompleted.get(student.id) || 0;
+      const signals = {
+        lastaccess: student.lastaccess || null,
+        daysSinceAccess: student.lastaccess ? Math.floor((now - student.lastaccess) / DAY) : null,
+        classesCompleted: completed,
+        classesBehind: Math.max(0, Math.floor(medianClasses - completed)),
+        gradesBelowPass: belowPass?.get(student.id) ?? 0,
+        unfinishedQuizzes: unfinished?.get(student.id) ?? 0
+      };
+
+      const { score, reasons } = this.scoreStudent(signals, available, thresholds, weights);
+
+      return {
+        userId: student.id,
+        fullname: student.fullname,
+        email: student.email || '',
+        score,
+        flagged: reasons.length > 0,
+        reasons,
+        signals
+      };
+    });
+
+    const key = SORTS[sort] || SORTS.score;
+    const direction = order === 'asc' ? 1 : -1;
+    scored.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * direction);
+
+    const flagged = scored.filter(s => s.flagged);
+
+    return {
+      courseId,
+      thresholds,
+      weights,
+      signalsAvailable: available,
+      summary: {
+        totalStudents: students.length,
+        flagged: flagged.length,
+        flaggedShare: students.length ? round((flagged.length / students.length) * 100, 1) : 0,
+        medianClassesCompleted: medianClasses,
+        totalClasses: classOrder.length
+      },
+      students: all ? scored : flagged,
+      roleFilter: { roles, excluded },
+      groupFilter: describeGroupFilter(group, membership),
+      warnings: getWarnings(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new InsightsService();
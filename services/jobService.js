@@ -0,0 +1,246 @@
+// services/jobService.js
+//
+// In-process background jobs for long-running analytics (reports, activity
+// breakdowns). Handlers receive the Job and report progress through it:
+//
+//   job.setCourses(total)        → number of courses to process
+//   job.startCourse(students)    → a course with N students begins
+//   job.studentsDone(n)          → N students of the current course finished
+//   job.courseDone()             → current course finished
+//   job.checkCancelled()         → throws JobCancelledError after a cancel
+//
+const crypto = require('crypto');
+const config = require('../config/moodle');
+const { runWithContext, getWarnings } = require('../utils/requestContext');
+const { MoodleError } = require('../utils/moodleErrors');
+const metricsService = require('./metricsService');
+const logger = require('../utils/logger').child({ module: 'jobs' });
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+class Job {
+  constructor(type, ownerId, params) {
+    this.id = crypto.randomUUID();
+    this.type = type;
+    this.ownerId = ownerId;
+    this.params = params;
+    this.status = 'queued';
+    this.progress = {
+      stage: 'queued',
+      coursesTotal: 0,
+      coursesProcessed: 0,
+      studentsTotal: 0,
+      studentsProcessed: 0,
+      percent: 0
+    };
+    this.currentCourse = { total: 0, done: 0 };
+    this.result = null;
+    this.error = null;
+    this.errorCode = null;
+    this.warnings = [];
+    this.cancelRequested = false;
+    this.createdAt = Date.now();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.expiresAt = null;
+  }
+
+  get isFinished() {
+    return ['completed', 'failed', 'cancelled'].includes(this.status);
+  }
+
+  checkCancelled() {
+    if (this.cancelRequested) throw new JobCancelledError(this.id);
+  }
+
+  setStage(stage) {
+    this.progress.stage = stage;
+  }
+
+  setCourses(total) {
+    this.progress.coursesTotal = total;
+    this.updatePercent();
+  }
+
+  startCourse(students) {
+    this.checkCancelled();
+    this.currentCourse = { total: students, done: 0 };
+    this.progress.studentsTotal += students;
+    this.updatePercent();
+  }
+
+  studentsDone(count = 1) {
+    this.currentCourse.done += count;
+    this.progress.studentsProcessed += count;
+    this.updatePercent();
+    this.checkCancelled();
+  }
+
+  courseDone() {
+    this.progress.coursesProcessed++;
+    this.currentCourse = { total: 0, done: 0 };
+    this.updatePercent();
+  }
+
+  /**
+   * Whole courses plus the finished share of the course in progress
+   */
+  updatePercent() {
+    const { coursesTotal, coursesProcessed } = this.progress;
+    if (!coursesTotal) return;
+
+    const { total, done } = this.currentCourse;
+    const partial = total ? done / total : 0;
+    this.progress.percent = Math.min(
+      99,
+      Math.round(((coursesProcessed + partial) / coursesTotal) * 100)
+    );
+  }
+
+  toJSON() {
+    const iso = ts => (ts ? new Date(ts).toISOString() : null);
+    return {
+      jobId: this.id,
+      type: this.type,
+      status: this.status,
+      progress: this.progress,
+      params: this.params,
+      error: this.error,
+      errorCode: this.errorCode,
+      warningCount: this.warnings.length,
+      createdAt: iso(this.createdAt),
+      startedAt: iso(this.startedAt),
+      finishedAt: iso(this.finishedAt),
+      expiresAt: iso(this.expiresAt)
+    };
+  }
+}
+
+class JobService {
+  constructor() {
+    this.config = config.jobs;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Queue a job. handler(job) must resolve to the job result.
+   * context seeds the job's request context (e.g. { courseScope }).
+   */
+  createJob(type, ownerId, params, handler, context = {}) {
+    const job = new Job(type, ownerId, params);
+    this.jobs.set(job.id, job);
+    this.queue.push({ job, handler, context });
+
+    logger.info('Job queued', { type, jobId: job.id, ownerId });
+    setImmediate(() => this.runNext());
+    return job;
+  }
+
+  async runNext() {
+    if (this.running >= this.config.maxConcurrent) return;
+
+    const next = this.queue.shift();
+    if (!next) return;
+
+    const { job, handler, context } = next;
+    if (job.cancelRequested) return this.runNext();
+
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.setStage('running');
+
+    // Own context so warnings / cache stats belong to the job, not a request
+    await runWithContext({ ...context, jobId: job.id }, async () => {
+      try {
+        job.result = await handler(job);
+        job.status = 'completed';
+        job.progress.percent = 100;
+        job.setStage('completed');
+      } catch (err) {
+        if (err instanceof JobCancelledError) {
+          job.status = 'cancelled';
+          job.setStage('cancelled');
+        } else {
+          logger.error('Job failed', { type: job.type, error: err });
+          job.status = 'failed';
+          job.error = err.message;
+          // e.g. MOODLE_TOKEN_INVALID: the owner has to log in again
+          job.errorCode = err instanceof MoodleError ? err.code : null;
+          job.setStage('failed');
+        }
+      } finally {
+        job.warnings = getWarnings();
+      }
+    });
+
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + this.config.resultTtlMinutes * 60 * 1000;
+    this.running--;
+    metricsService.observeJob(job);
+
+    logger.info('Job finished', {
+      type: job.type,
+      jobId: job.id,
+      status: job.status,
+      durationMs: job.finishedAt - job.startedAt
+    });
+    this.runNext();
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  listJobs(ownerId, type = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.ownerId === ownerId && (!type || job.type === type))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Request cancellation. Queued jobs stop immediately, running jobs at
+   * their next progress checkpoint.
+   */
+  cancelJob(id) {
+    const job = this.getJob(id);
+    if (!job || job.isFinished) return job;
+
+    job.cancelRequested = true;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(entry => entry.job !== job);
+      job.status = 'cancelled';
+      job.setStage('cancelled');
+      job.finishedAt = Date.now();
+      job.expiresAt = job.finishedAt + this.config.resultTtlMinutes * 60 * 1000;
+    }
+
+    return job;
+  }
+
+  /**
+   * Drop finished jobs whose retention time has passed
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt && job.expiresAt <= now) this.jobs.delete(id);
+    }
+  }
+}
+
+const jobService = new JobService();
+jobService.JobCancelledError = JobCancelledError;
+
+module.exports = jobService;
@@ -0,0 +1,192 @@
+// services/logStoreService.js
+// Read-only adapter for Moodle's logstore_standard_log table (MySQL or Postgres)
+const config = require('../config/moodle');
+const logger = require('../utils/logger').child({ module: 'logstore' });
+
+const EVENTS = {
+  loggedIn: '\\core\\event\\user_loggedin',
+  courseViewed: '\\core\\event\\course_viewed'
+};
+
+// Keep IN (...) lists well below driver/server parameter limits
+const ID_CHUNK_SIZE = 1000;
+
+class LogStoreService {
+  constructor() {
+    this.config = config.logStore;
+    this.pool = null;
+    // MySQL connections already switched to a read-only session
+    this.readOnlyConnections = new WeakSet();
+  }
+
+  isEnabled() {
+    return Boolean(this.config && this.config.enabled);
+  }
+
+  get table() {
+    return `${this.config.tablePrefix}logstore_standard_log`;
+  }
+
+  /**
+   * Lazily open the connection pool. Every session is forced read-only so
+   * a misconfigured account can never write to the Moodle database; a
+   * LOGSTORE_USER with only SELECT on the log table is still recommended.
+   */
+  getPool() {
+    if (this.pool) return this.pool;
+
+    const { driver, host, port, database, user, password, poolSize } = this.config;
+
+    if (driver === 'postgres') {
+      const { Pool } = require('pg');
+      this.pool = new Pool({
+        host,
+        port: port || 5432,
+        database,
+        user,
+        password,
+        max: poolSize,
+        options: '-c default_transaction_read_only=on'
+      });
+    } else if (driver === 'mysql') {
+      const mysql = require('mysql2/promise');
+      this.pool = mysql.createPool({
+        host,
+        port: port || 3306,
+        database,
+        user,
+        password,
+        connectionLimit: poolSize
+      });
+    } else {
+      throw new Error(`Unsupported log store driver: ${driver}`);
+    }
+
+    logger.info('Log store connected', { driver, host, database });
+    return this.pool;
+  }
+
+  /**
+   * Run a query written with `?` placeholders on either driver
+   */
+  async query(sql, params = []) {
+    const pool = this.getPool();
+
+    if (this.config.driver === 'postgres') {
+      let i = 0;
+      const text = sql.replace(/\?/g, () => `$${++i}`);
+      const result = await pool.query(text, params);
+      return result.rows;
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await this.ensureReadOnly(conn);
+    } catch (error) {
+      conn.destroy();
+      logger.error('Could not make log store session read-only, connection dropped', { error });
+      throw error;
+    }
+
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally {
+      conn.release();
+    }
+  }
+
+  /**
+   * MySQL has no read-only connect option, so each pooled connection runs
+   * SET SESSION TRANSACTION READ ONLY once before its first query. A query
+   * never runs on a connection where that failed.
+   */
+  async ensureReadOnly(conn) {
+    if (this.readOnlyConnections.has(conn.connection)) return;
+    await conn.query('SET SESSION TRANSACTION READ ONLY');
+    this.readOnlyConnections.add(conn.connection);
+  }
+
+  /**
+   * Fetch events of the given names between two unix timestamps.
+   * Optional userIds / courseIds restrict the result set.
+   */
+  async getEvents(eventNames, fromTimestamp, toTimestamp, { userIds, courseIds } = {}) {
+    if (userIds && userIds.length === 0) return [];
+    if (courseIds && courseIds.length === 0) return [];
+
+    const baseSql =
+      `SELECT id, eventname, userid, courseid, timecreated FROM ${this.table}` +
+      ` WHERE eventname IN (${eventNames.map(() => '?').join(', ')})` +
+      ' AND timecreated >= ? AND timecreated <= ?';
+    const baseParams = [...eventNames, fromTimestamp, toTimestamp];
+
+    let courseSql = '';
+    if (courseIds) {
+      courseSql = ` AND courseid IN (${courseIds.map(() => '?').join(', ')})`;
+      baseParams.push(...courseIds);
+    }
+
+    const userChunks = [];
+    if (userIds) {
+      for (let i = 0; i < userIds.length; i += ID_CHUNK_SIZE) {
+        userChunks.push(userIds.slice(i, i + ID_CHUNK_SIZE));
+      }
+    } else {
+      userChunks.push(null);
+    }
+
+    const rows = [];
+    for (const chunk of userChunks) {
+      const userSql = chunk ? ` AND userid IN (${chunk.map(() => '?').join(', ')})` : '';
+      const result = await this.query(
+        `${baseSql}${courseSql}${userSql} ORDER BY timecreated`,
+        chunk ? [...baseParams, ...chunk] : baseParams
+      );
+      rows.push(...result);
+    }
+
+    if (userChunks.length > 1) {
+      rows.sort((a, b) => Number(a.timecreated) - Number(b.timecreated));
+    }
+
+    return rows.map(row => ({
+      id: Number(row.id),
+      userid: Number(row.userid),
+      courseid: Number(row.courseid),
+      timecreated: Number(row.timecreated),
+      action: row.eventname === EVENTS.loggedIn ? 'loggedin' : 'courseviewed'
+    }));
+  }
+
+  /**
+   * \core\event\user_loggedin events
+   */
+  async getLoginEvents(fromTimestamp, toTimestamp, options = {}) {
+    return await this.getEvents([EVENTS.loggedIn], fromTimestamp, toTimestamp, options);
+  }
+
+  /**
+   * \core\event\user_loggedin + \core\event\course_viewed events
+   * (mobile app sessions often stay logged in, so course views count as access)
+   */
+  async getAccessEvents(fromTimestamp, toTimestamp, options = {}) {
+    return await this.getEvents(
+      [EVENTS.loggedIn, EVENTS.courseViewed],
+      fromTimestamp,
+      toTimestamp,
+      options
+    );
+  }
+
+  async close() {
+    if (!this.pool) return;
+    await this.pool.end();
+    this.pool = null;
+  }
+}
+
+const logStoreService = new LogStoreService();
+logStoreService.EVENTS = EVENTS;
+
+module.exports = logStoreService;
@@ -0,0 +1,181 @@
+// services/metricsService.js
+//
+// Prometheus metrics for GET /metrics:
+//
+//   http_requests_total / http_request_duration_seconds   {method, route, status}
+//   http_requests_in_flight
+//   moodle_requests_total / moodle_request_duration_seconds  {wsfunction, outcome}
+//   moodle_request_errors_total                           {wsfunction, code}
+//   moodle_request_retries_total                          {wsfunction}
+//   moodle_cache_lookups_total                            {wsfunction, result}
+//   moodle_cache_hit_ratio                                {wsfunction}
+//   jobs_in_flight                                        {status}
+//   job_duration_seconds                                  {type, status}
+//
+// `route` is the Express route pattern (/api/courses/:courseId), never the
+// raw path, so ids do not create new series. Moodle requests are counted
+// only when they reach Moodle; cached answers show up in the cache lookups.
+//
+const config = require('../config/moodle');
+const cacheService = require('./cacheService');
+const { MoodleError, fromRequestError } = require('../utils/moodleErrors');
+const { Registry, CONTENT_TYPE } = require('../utils/metrics');
+
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const MOODLE_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30];
+const JOB_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+const CACHE_RESULTS = { hits: 'hit', misses: 'miss', errors: 'error' };
+
+class MetricsService {
+  constructor() {
+    this.config = config.metrics;
+    this.registry = new Registry();
+    this.contentType = CONTENT_TYPE;
+
+    this.httpRequests = this.registry.counter(
+      'http_requests_total',
+      'HTTP requests served, by route and status',
+      ['method', 'route', 'status']
+    );
+    this.httpDuration = this.registry.histogram(
+      'http_request_duration_seconds',
+      'HTTP request latency in seconds, by route and status',
+      ['method', 'route', 'status'],
+      HTTP_BUCKETS
+    );
+    this.httpInFlight = this.registry.gauge(
+      'http_requests_in_flight',
+      'HTTP requests currently being served'
+    );
+    this.httpInFlight.set({}, 0);
+
+    this.moodleRequests = this.registry.counter(
+      'moodle_requests_total',
+      'Moodle web-service requests, by function and outcome (success | error)',
+      ['wsfunction', 'outcome']
+    );
+    this.moodleDuration = this.registry.histogram(
+      'moodle_request_duration_seconds',
+      'Moodle web-service latency in seconds including retries, by function and outcome',
+      ['wsfunction', 'outcome'],
+      MOODLE_BUCKETS
+    );
+    this.moodleErrors = this.registry.counter(
+      'moodle_request_errors_total',
+      'Failed Moodle web-service requests, by function and error code',
+      ['wsfunction', 'code']
+    );
+    this.moodleRetries = this.registry.counter(
+      'moodle_request_retries_total',
+      'Retries of transient Moodle failures, by function',
+      ['wsfunction']
+    );
+
+    this.registry.counter(
+      'moodle_cache_lookups_total',
+      'Moodle response cache lookups, by function and result (hit | miss | error)',
+      ['wsfunction', 'result'],
+      counter => this.eachCacheStat((wsfunction, stats) => {
+        Object.entries(CACHE_RESULTS).forEach(([outcome, result]) => {
+          counter.set({ wsfunction, result }, stats[outcome]);
+        });
+      })
+    );
+    this.registry.gauge(
+      'moodle_cache_hit_ratio',
+      'Share of Moodle cache lookups answered from the cache, by function',
+      ['wsfunction'],
+      gauge => this.eachCacheStat((wsfunction, { hits, misses }) => {
+        gauge.set({ wsfunction }, hits + misses ? hits / (hits + misses) : 0);
+      })
+    );
+
+    this.registry.gauge(
+      'jobs_in_flight',
+      'Background jobs waiting (queued) or running',
+      ['status'],
+      gauge => {
+        // Required here: jobService reports its own durations through this module
+        const jobService = require('./jobService');
+        gauge.set({ status: 'queued' }, jobService.queue.length);
+        gauge.set({ status: 'running' }, jobService.running);
+      }
+    );
+    this.jobDuration = this.registry.histogram(
+      'job_duration_seconds',
+      'Background job run time in seconds, by type and final status',
+      ['type', 'status'],
+      JOB_BUCKETS
+    );
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  eachCacheStat(fn) {
+    Object.entries(cacheService.stats).forEach(([wsfunction, stats]) => fn(wsfunction, stats));
+  }
+
+  /**
+   * Start timing an HTTP request; call the returned function once with
+   * { method, route, status } when the response is done
+   */
+  startHttpRequest() {
+    if (!this.isEnabled()) return () => {};
+
+    this.httpInFlight.inc();
+    const stop = this.httpDuration.startTimer();
+
+    return ({ method, route, status }) => {
+      const labels = { method, route, status: String(status) };
+      this.httpInFlight.dec();
+      this.httpRequests.inc(labels);
+      stop(labels);
+    };
+  }
+
+  /**
+   * Run one Moodle request and record its count, latency and error code
+   */
+  async trackMoodleCall(wsfunction, fn) {
+    if (!this.isEnabled()) return await fn();
+
+    const stop = this.moodleDuration.startTimer({ wsfunction });
+    try {
+      const result = await fn();
+      stop({ outcome: 'success' });
+      this.moodleRequests.inc({ wsfunction, outcome: 'success' });
+      return result;
+    } catch (error) {
+      stop({ outcome: 'error' });
+      this.moodleRequests.inc({ wsfunction, outcome: 'error' });
+      // Label network errors by the code they map to (MOODLE_TIMEOUT, ...)
+      const typed = fromRequestError(error, wsfunction);
+      this.moodleErrors.inc({ wsfunction, code: typed instanceof MoodleError ? typed.code : 'INTERNAL_ERROR' });
+      throw error;
+    }
+  }
+
+  recordMoodleRetry(wsfunction) {
+    if (this.isEnabled()) this.moodleRetries.inc({ wsfunction });
+  }
+
+  /**
+   * Record a finished (completed / failed / cancelled) background job
+   */
+  observeJob(job) {
+    if (!this.isEnabled() || !job.startedAt) return;
+    this.jobDuration.observe({ type: job.type, status: job.status }, (job.finishedAt - job.startedAt) / 1000);
+  }
+
+  /**
+   * All metrics in Prometheus text format
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+module.exports = new MetricsService();
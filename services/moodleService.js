@@ -1,11 +1,51 @@
 // services/moodleService.js
 const axios = require('axios');
 const config = require('../config/moodle');
+const logStoreService = require('./logStoreService');
+const cacheService = require('./cacheService');
+const metricsService = require('./metricsService');
+const { withRetry, isTransientError } = require('../utils/retry');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { addWarning, getCourseScope } = require('../utils/requestContext');
+const { filterLearners, mergeExcluded } = require('../utils/roleFilter');
+const { matchGroups, filterByGroup } = require('../utils/groupFilter');
+const { MoodleError, fromMoodleException, fromRequestError } = require('../utils/moodleErrors');
+const logger = require('../utils/logger').child({ module: 'moodle' });
 
 class MoodleService {
   constructor() {
     this.baseUrl = config.moodleUrl;
     this.service = config.moodleService;
+    this.circuitBreaker = new CircuitBreaker('moodle', config.circuitBreaker);
+  }
+
+  /**
+   * Run one Moodle HTTP request through the circuit breaker, retrying
+   * transient failures with exponential backoff + jitter.
+   * Calls that only succeeded after retries are reported as degraded.
+   */
+  async withResilience(callName, target, fn) {
+    const { result, attempts } = await withRetry(
+      () => this.circuitBreaker.execute(fn, isTransientError),
+      {
+        ...config.retry,
+        onRetry: (err, attempt, delay) => {
+          logger.warn('Moodle call failed, retrying', { wsfunction: callName, attempt, delayMs: delay, error: err });
+          metricsService.recordMoodleRetry(callName);
+        }
+      }
+    );
+
+    if (attempts > 1) {
+      addWarning({
+        type: 'degraded',
+        call: callName,
+        target,
+        reason: `Succeeded after ${attempts} attempts`
+      });
+    }
+
+    return result;
   }
 
   /**
@@ -16,93 +56,102 @@ class MoodleService {
     try {
       // Extract base URL (remove /webservice/rest/server.php)
       const tokenUrl = this.baseUrl.replace('/webservice/rest/server.php', '/login/token.php');
-      
-      console.log(`[MOODLE] Token URL: ${tokenUrl}`);
-      console.log(`[MOODLE] Username: ${username}`);
-      console.log(`[MOODLE] Service: ${this.service}`);
-
-      // ✅ FIXED: Use POST instead of GET
-      const response = await axios.post(tokenUrl, null, {
-        params: { 
-          username, 
-          password, 
-          service: this.service 
-        },
-        timeout: 10000 // 10 second timeout
-      });
-
-      console.log(`[MOODLE] Token response:`, response.data);
 
-      const { token, error, errorcode } = response.data;
+      logger.info('Requesting Moodle token', { tokenUrl, username, service: this.service });
+
+      const token = await metricsService.trackMoodleCall('login/token.php', async () => {
+        // ✅ FIXED: Use POST instead of GET
+        const response = await this.withResilience('login/token.php', { username }, () =>
+          axios.post(tokenUrl, null, {
+            params: { 
+              username, 
+              password, 
+              service: this.service 
+            },
+            timeout: 10000 // 10 second timeout
+          })
+        );
+
+        const { token, error, errorcode } = response.data;
+
+        // Check for errors (invalidlogin → MoodleLoginError)
+        if (errorcode || error) {
+          logger.warn('Moodle refused the token', { username, errorcode, moodleMessage: error });
+          throw fromMoodleException(response.data, 'login/token.php');
+        }
 
-      // Check for errors
-      if (errorcode || error) {
-        console.error(`[MOODLE ERROR] Code: ${errorcode}, Message: ${error}`);
-        throw new Error(error || 'Failed to get Moodle token');
-      }
+        if (!token) {
+          throw new MoodleError('No token received from Moodle', { wsfunction: 'login/token.php' });
+        }
 
-      if (!token) {
-        throw new Error('No token received from Moodle');
-      }
+        return token;
+      });
 
-      console.log(`[MOODLE] ✅ Token generated successfully`);
+      logger.info('Moodle token received', { username });
       return token;
 
     } catch (error) {
-      console.error('[MOODLE ERROR] Token generation failed:', error.message);
-      
-      // Handle Axios errors
-      if (error.response?.data?.error) {
-        throw new Error(error.response.data.error);
-      }
-      
-      // Handle network errors
+      // Network errors, timeouts and HTTP errors → typed Moodle errors
       if (error.code === 'ECONNREFUSED') {
-        throw new Error('Cannot connect to Moodle server. Please check MOODLE_URL in .env');
+        logger.error('Cannot connect to Moodle server. Please check MOODLE_URL in .env', { error });
+      } else if (!(error instanceof MoodleError)) {
+        logger.error('Token generation failed', { username, error });
       }
-
-      if (error.code === 'ETIMEDOUT') {
-        throw new Error('Moodle server timeout. Please try again.');
-      }
-
-      throw error;
+      throw fromRequestError(error, 'login/token.php');
     }
   }
 
   /**
    * Call any Moodle Web Service API
+   * Responses are cached per token scope + function + params (see cacheService);
+   * requests that reach Moodle are counted and timed (see metricsService)
    */
   async callMoodleAPI(token, functionName, params = {}) {
-    try {
-      console.log(`[MOODLE] Calling function: ${functionName}`);
-
-      const response = await axios.get(this.baseUrl, {
-        params: {
-          wstoken: token,
-          wsfunction: functionName,
-          moodlewsrestformat: 'json',
-          ...params
-        },
-        timeout: 15000 // 15 second timeout
-      });
+    return await cacheService.wrap(token, functionName, params, () =>
+      metricsService.trackMoodleCall(functionName, () => this.requestMoodleAPI(token, functionName, params))
+    );
+  }
 
-      // Check for Moodle errors
-      if (response.data.exception) {
-        console.error(`[MOODLE ERROR] ${functionName}:`, response.data.message);
-        throw new Error(response.data.message || 'Moodle API error');
-      }
+  /**
+   * Uncached Moodle Web Service request (with retries + circuit breaker)
+   */
+  async requestMoodleAPI(token, functionName, params = {}) {
+    const started = Date.now();
 
-      console.log(`[MOODLE] ✅ ${functionName} successful`);
-      return response.data;
+    try {
+      logger.debug('Moodle call', { wsfunction: functionName });
+
+      const data = await this.withResilience(functionName, params, async () => {
+        const response = await axios.get(this.baseUrl, {
+          params: {
+            wstoken: token,
+            wsfunction: functionName,
+            moodlewsrestformat: 'json',
+            ...params
+          },
+          timeout: 15000 // 15 second timeout
+        });
+
+        // Check for Moodle errors (never retried — the same call fails the same way)
+        if (response.data.exception) {
+          throw fromMoodleException(response.data, functionName);
+        }
 
-    } catch (error) {
-      console.error(`[MOODLE ERROR] ${functionName} failed:`, error.message);
+        return response.data;
+      });
 
-      if (error.response?.data?.message) {
-        throw new Error(error.response.data.message);
-      }
+      logger.debug('Moodle call succeeded', { wsfunction: functionName, durationMs: Date.now() - started });
+      return data;
 
-      throw error;
+    } catch (error) {
+      const typed = fromRequestError(error, functionName);
+      logger.error('Moodle call failed', {
+        wsfunction: functionName,
+        durationMs: Date.now() - started,
+        attempts: error.attempts,
+        error: typed
+      });
+      throw typed;
     }
   }
 
@@ -114,12 +163,63 @@ class MoodleService {
   }
 
   /**
-   * Get courses enrolled by user
+   * Site token of the service account (MOODLE_TOKEN) for background work
+   */
+  getServiceToken() {
+    if (!config.moodleToken) {
+      throw new Error('Service account not configured (set MOODLE_TOKEN)');
+    }
+    return config.moodleToken;
+  }
+
+  /**
+   * True when the call is made by the service account about itself
+   */
+  async isServiceAccount(token, userId) {
+    if (!config.moodleToken || token !== config.moodleToken) return false;
+    const siteInfo = await this.getSiteInfo(token);
+    return siteInfo.userid === userId;
+  }
+
+  /**
+   * Get the timezone set in a user's Moodle profile.
+   * Returns null for '99' (server default) or an unknown value.
+   */
+  async getUserTimezone(token, userId) {
+    const users = await this.callMoodleAPI(token, 'core_user_get_users_by_field', {
+      field: 'id',
+      'values[0]': userId
+    });
+
+    const timezone = users?.[0]?.timezone;
+    return timezone && timezone !== '99' ? timezone : null;
+  }
+
+  /**
+   * Get courses enrolled by user.
+   * The service account is not enrolled anywhere, so it gets every course
+   * of the site instead. Inside a course scope (teachers on cohort
+   * endpoints) only the courses in scope are returned.
    */
   async getUserCourses(token, userId) {
-    return await this.callMoodleAPI(token, 'core_enrol_get_users_courses', {
-      userid: userId
+    const courses = await this.isServiceAccount(token, userId)
+      ? (await this.getAllCourses(token)).filter(course => course.format !== 'site')
+      : await this.callMoodleAPI(token, 'core_enrol_get_users_courses', { userid: userId });
+
+    const scope = getCourseScope();
+    return scope ? courses.filter(course => scope.has(course.id)) : courses;
+  }
+
+  /**
+   * Get one user's profile in a course, including their course roles
+   * (null when Moodle returns nothing)
+   */
+  async getCourseUserProfile(token, courseId, userId) {
+    const profiles = await this.callMoodleAPI(token, 'core_user_get_course_user_profiles', {
+      'userlist[0][userid]': userId,
+      'userlist[0][courseid]': courseId
     });
+    return profiles?.[0] || null;
   }
 
   /**
@@ -189,12 +289,31 @@ class MoodleService {
   }
 
   /**
-   * Get quiz attempts
+   * Get every post of a forum discussion
    */
-  async getQuizAttempts(token, quizId, userId) {
+  async getDiscussionPosts(token, discussionId) {
+    return await this.callMoodleAPI(token, 'mod_forum_get_discussion_posts', {
+      discussionid: discussionId
+    });
+  }
+
+  /**
+   * Get quiz attempts ('finished' only unless status is 'all' or 'unfinished')
+   */
+  async getQuizAttempts(token, quizId, userId, status = 'finished') {
     return await this.callMoodleAPI(token, 'mod_quiz_get_user_attempts', {
       quizid: quizId,
-      userid: userId
+      userid: userId,
+      status
+    });
+  }
+
+  /**
+   * Get the quizzes of a course (grade, sumgrades, attempts allowed, ...)
+   */
+  async getQuizzesByCourse(token, courseId) {
+    return await this.callMoodleAPI(token, 'mod_quiz_get_quizzes_by_courses', {
+      'courseids[0]': courseId
     });
   }
 
@@ -208,56 +327,165 @@ class MoodleService {
   }
 
   /**
-   * ✅ NEW: Get login logs for analytics
-   * Uses course access as proxy for login activity
+   * Get the member user ids of one or more groups
    */
-  async getLoginLogs(token, fromTimestamp, toTimestamp) {
+  async getGroupMembers(token, groupIds) {
+    const params = {};
+    groupIds.forEach((id, i) => {
+      params[`groupids[${i}]`] = id;
+    });
+
+    return await this.callMoodleAPI(token, 'core_group_get_group_members', params);
+  }
+
+  /**
+   * Course groups with their members: [{ id, name, userIds: Set }]
+   */
+  async getCourseGroupsWithMembers(token, courseId, groups = null) {
+    groups = groups || await this.getCourseGroups(token, courseId);
+    if (groups.length === 0) return [];
+
+    const members = await this.getGroupMembers(token, groups.map(g => g.id));
+    const byGroup = new Map(members.map(m => [m.groupid, m.userids || []]));
+
+    return groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      userIds: new Set(byGroup.get(group.id) || [])
+    }));
+  }
+
+  /**
+   * Resolve a ?groupId= / ?groupName= filter for one course.
+   * Returns null without a filter, otherwise { groups: [{ id, name, userIds }], userIds }.
+   * A course without a matching group (or whose groups cannot be read)
+   * resolves to no members.
+   */
+  async resolveGroupFilter(token, courseId, filter) {
+    if (!filter) return null;
+
     try {
-      console.log(`[MOODLE] Fetching login logs from ${fromTimestamp} to ${toTimestamp}`);
-      
-      // Get site info and user courses
-      const siteInfo = await this.getSiteInfo(token);
-      const courses = await this.getUserCourses(token, siteInfo.userid);
-      
-      console.log(`[MOODLE] Found ${courses.length} courses to check for activity`);
-      
-      // Collect login events from enrolled users across all courses
-      const loginEventsMap = new Map();
-      
-      for (const course of courses) {
+      const matched = matchGroups(await this.getCourseGroups(token, courseId), filter);
+      const groups = await this.getCourseGroupsWithMembers(token, courseId, matched);
+      const userIds = new Set();
+      groups.forEach(group => group.userIds.forEach(id => userIds.add(id)));
+
+      return { groups, userIds };
+    } catch (err) {
+      logger.warn('Could not resolve groups', { courseId, error: err });
+      addWarning({ type: 'skipped', call: 'core_group_get_group_members', target: { courseId }, reason: err.message });
+      return { groups: [], userIds: new Set() };
+    }
+  }
+
+  /**
+   * Get all users enrolled in the caller's courses, keyed by user id.
+   * With `roles`, only users holding one of those roles in a course are kept;
+   * with `group`, only members of the matching group in that course.
+   * Returns { users: Map, excluded, userCourses, matchedGroups } where
+   * userCourses maps each user id to [{ courseId, courseName, lastaccess }]
+   * and matchedGroups lists the groups the `group` filter matched per course.
+   */
+  async getCourseUsers(token, { roles = null, group = null } = {}) {
+    const siteInfo = await this.getSiteInfo(token);
+    const courses = await this.getUserCourses(token, siteInfo.userid);
+
+    logger.debug('Collecting course users', { courses: courses.length });
+
+    const usersMap = new Map();
+    const userCourses = new Map();
+    const matchedGroups = [];
+    const excluded = { total: 0, byRole: {} };
+
+    for (const course of courses) {
+      try {
+        const enrolled = await this.getEnrolledUsers(token, course.id);
+        const { learners, excluded: courseExcluded } = filterLearners(enrolled, roles);
+        mergeExcluded(excluded, courseExcluded);
+
+        const membership = await this.resolveGroupFilter(token, course.id, group);
+        membership?.groups.forEach(g => matchedGroups.push({ courseId: course.id, id: g.id, name: g.name }));
+        const enrolledUsers = filterByGroup(learners, membership?.userIds);
+
+        enrolledUsers.forEach(user => {
+          if (!user.id) return;
+          if (!usersMap.has(user.id)) {
+            usersMap.set(user.id, user);
+            userCourses.set(user.id, []);
+          }
+          userCourses.get(user.id).push({
+            courseId: course.id,
+            courseName: course.fullname,
+            lastaccess: user.lastaccess || 0
+          });
+        });
+      } catch (err) {
+        logger.warn('Could not fetch course users', { courseId: course.id, error: err });
+        addWarning({ type: 'skipped', call: 'core_enrol_get_enrolled_users', target: { courseId: course.id }, reason: err.message });
+      }
+    }
+
+    return { users: usersMap, excluded, userCourses, matchedGroups };
+  }
+
+  /**
+   * Get login history for the caller's course users.
+   * Reads real \core\event\user_loggedin events from the log store when it is
+   * configured, otherwise falls back to each user's lastaccess as a proxy.
+   * Returns { source: 'logstore' | 'lastaccess', events, roleFilter }
+   */
+  async getLoginHistory(token, fromTimestamp, toTimestamp, { roles = null, group = null } = {}) {
+    let roleFilter = { roles, excluded: { total: 0, byRole: {} } };
+
+    try {
+      logger.debug('Fetching login history', { from: fromTimestamp, to: toTimestamp });
+
+      const { users: usersMap, excluded } = await this.getCourseUsers(token, { roles, group });
+      roleFilter = { roles, excluded };
+
+      if (logStoreService.isEnabled()) {
         try {
-          const enrolledUsers = await this.getEnrolledUsers(token, course.id);
-          
-          enrolledUsers.forEach(user => {
-            // Only count users who accessed during the time range
-            if (user.lastaccess >= fromTimestamp && user.lastaccess <= toTimestamp) {
-              const eventKey = `${user.id}_${user.lastaccess}`;
-              
-              if (!loginEventsMap.has(eventKey)) {
-                loginEventsMap.set(eventKey, {
-                  userid: user.id,
-                  timecreated: user.lastaccess,
-                  action: 'courseaccess'
-                });
-              }
-            }
+          const events = await logStoreService.getLoginEvents(fromTimestamp, toTimestamp, {
+            userIds: Array.from(usersMap.keys())
           });
+          logger.debug('Login events found', { source: 'logstore', events: events.length });
+          return { source: 'logstore', events, roleFilter };
         } catch (err) {
-          console.warn(`[MOODLE] Could not fetch users for course ${course.id}: ${err.message}`);
+          logger.error('Log store query failed, using lastaccess', { error: err });
+          addWarning({ type: 'degraded', call: 'logstore', reason: `Log store unavailable: ${err.message}` });
         }
       }
-      
-      const loginEvents = Array.from(loginEventsMap.values());
-      console.log(`[MOODLE] ✅ Found ${loginEvents.length} login events from course access`);
-      
-      return loginEvents;
-      
+
+      // Fallback: one "login" per user whose lastaccess falls in the range
+      const events = [];
+      usersMap.forEach(user => {
+        if (user.lastaccess >= fromTimestamp && user.lastaccess <= toTimestamp) {
+          events.push({
+            userid: user.id,
+            timecreated: user.lastaccess,
+            action: 'courseaccess'
+          });
+        }
+      });
+
+      logger.debug('Login events found', { source: 'lastaccess', events: events.length });
+      return { source: 'lastaccess', events, roleFilter };
+
     } catch (error) {
-      console.error('[MOODLE ERROR] getLoginLogs failed:', error.message);
-      return [];
+      logger.error('Login history unavailable', { error });
+      addWarning({ type: 'skipped', call: 'login history', reason: error.message });
+      return { source: 'none', events: [], roleFilter };
     }
   }
 
+  /**
+   * Get login logs for analytics
+   */
+  async getLoginLogs(token, fromTimestamp, toTimestamp) {
+    const { events } = await this.getLoginHistory(token, fromTimestamp, toTimestamp);
+    return events;
+  }
+
   /**
    * ✅ NEW: Get user enrollments
    */
@@ -274,7 +502,7 @@ class MoodleService {
       }));
       
     } catch (error) {
-      console.error('[MOODLE ERROR] getUserEnrollments failed:', error.message);
+      logger.error('User enrollments unavailable', { userId, error });
       return [];
     }
   }
@@ -0,0 +1,233 @@
+// services/quizService.js
+// Quiz attempt analytics per course, overall and lined up by class (section)
+const moodleService = require('./moodleService');
+const activityBreakdownService = require('./activityBreakdownService');
+const { filterLearners } = require('../utils/roleFilter');
+const { filterByGroup, describeGroupFilter } = require('../utils/groupFilter');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const { round, describe } = require('../utils/stats');
+const logger = require('../utils/logger').child({ module: 'quizzes' });
+
+const FINISHED = 'finished';
+
+class QuizService {
+
+  /**
+   * Quiz modules of a course in course order, labelled with the same
+   * class (section) names the video/PDF breakdown uses
+   */
+  findQuizzes(sections) {
+    const quizzes = [];
+    const classOrder = [];
+
+    for (const section of sections) {
+      const className = section.name || 'Unknown Section';
+      if (!section.modules || section.modules.length === 0) continue;
+      if (!classOrder.includes(className)) classOrder.push(className);
+
+      section.modules
+        .filter(mod => mod.modname === 'quiz')
+        .forEach(mod => quizzes.push({
+          quizId: mod.instance,
+          cmid: mod.id,
+          name: mod.name,
+          className
+        }));
+    }
+
+    return { quizzes, classOrder };
+  }
+
+  /**
+   * Statistics of one quiz from every student's attempts
+   * (attemptsByStudent: Map<student, attempts[]>)
+   */
+  analyzeQuiz(quiz, attemptsByStudent, totalStudents) {
+    const percent = attempt => quiz.sumGrades > 0 && attempt.sumgrades !== null && attempt.sumgrades !== undefined
+      ? (attempt.sumgrades / quiz.sumGrades) * 100
+      : null;
+
+    let totalAttempts = 0;
+    let finishedAttempts = 0;
+    const allScores = [];
+    const bestScores = [];
+    const lastScores = [];
+    const durations = [];
+    const attemptsPerStudent = [];
+    const unfinished = [];
+    let multipleAttemptStudents = 0;
+    let improvedOnRetry = 0;
+
+    attemptsByStudent.forEach((attempts, student) => {
+      if (attempts.length === 0) return;
+
+      const ordered = [...attempts].sort((a, b) => a.attempt - b.attempt);
+      const finished = ordered.filter(a => a.state === FINISHED);
+
+      totalAttempts += ordered.length;
+      finishedAttempts += finished.length;
+      attemptsPerStudent.push(ordered.length);
+
+      finished.forEach(a => {
+        if (a.timefinish && a.timestart) durations.push(a.timefinish - a.timestart);
+      });
+
+      const scores = finished.map(percent).filter(s => s !== null);
+      allScores.push(...scores);
+      if (scores.length) {
+        bestScores.push(Math.max(...scores));
+        lastScores.push(scores[scores.length - 1]);
+      }
+
+      if (ordered.length > 1) {
+        multipleAttemptStudents++;
+        if (scores.length > 1 && scores[scores.length - 1] > scores[0]) improvedOnRetry++;
+      }
+
+      // Started but never finished
+      if (finished.length === 0) {
+        const latest = ordered[ordered.length - 1];
+        unfinished.push({
+          userId: student.id,
+          fullname: student.fullname,
+          state: latest.state,
+          timestart: latest.timestart || null
+        });
+      }
+    });
+
+    const studentsAttempted = attemptsPerStudent.length;
+    const roundStats = stats => ({
+      ...stats,
+      min: round(stats.min),
+      max: round(stats.max)
+    });
+
+    return {
+      quizId: quiz.quizId,
+      cmid: quiz.cmid,
+      name: quiz.name,
+      className: quiz.className,
+      attemptsAllowed: quiz.attemptsAllowed,
+      totalAttempts,
+      finishedAttempts,
+      studentsAttempted,
+      attemptedShare: totalStudents ? round((studentsAttempted / totalStudents) * 100, 1) : 0,
+      scores: {
+        best: roundStats(describe(bestScores)),
+        last: roundStats(describe(lastScores)),
+        all: roundStats(describe(allScores))
+      },
+      timeTakenSeconds: describe(durations),
+      multipleAttempts: {
+        students: multipleAttemptStudents,
+        averageAttempts: attemptsPerStudent.length
+          ? round(attemptsPerStudent.reduce((s, n) => s + n, 0) / attemptsPerStudent.length)
+          : 0,
+        maxAttempts: attemptsPerStudent.length ? Math.max(...attemptsPerStudent) : 0,
+        improvedOnRetry
+      },
+      unfinished
+    };
+  }
+
+  /**
+   * Quizzes grouped by class, in course order
+   */
+  buildClassView(classOrder, quizzes, attemptedIds, totalStudents) {
+    return classOrder
+      .map(className => {
+        const inClass = quizzes.filter(q => q.className === className);
+        const attempted = new Set();
+        inClass.forEach(q => attemptedIds.get(q.quizId).forEach(id => attempted.add(id)));
+
+        return {
+          className,
+          totalQuizzes: inClass.length,
+          studentsAttemptedAny: attempted.size,
+          attemptedShare: totalStudents ? round((attempted.size / totalStudents) * 100, 1) : 0,
+          quizzes: inClass.map(q => ({
+            quizId: q.quizId,
+            name: q.name,
+            studentsAttempted: q.studentsAttempted,
+            attemptedShare: q.attemptedShare,
+            bestMean: q.scores.best.mean
+          }))
+        };
+      })
+      .filter(cls => cls.totalQuizzes > 0);
+  }
+
+  /**
+   * options:
+   * - roles: learner role shortnames to include (null = all enrolled users)
+   * - group: { groupId, groupName } to include only that group's members
+   */
+  async getQuizAnalytics(moodleToken, courseId, { roles = null, group = null } = {}) {
+    const [sections, enrolled] = await Promise.all([
+      moodleService.getCourseContents(moodleToken, courseId),
+      moodleService.getEnrolledUsers(moodleToken, courseId)
+    ]);
+
+    const { learners, excluded } = filterLearners(enrolled, roles);
+    const membership = await moodleService.resolveGroupFilter(moodleToken, courseId, group);
+    const students = filterByGroup(learners, membership?.userIds);
+
+    const { quizzes, classOrder } = this.findQuizzes(sections);
+    logger.debug('Computing quiz analytics', { courseId, quizzes: quizzes.length, students: students.length });
+
+    // Max sumgrades per quiz to turn attempt sumgrades into percentages
+    try {
+      const { quizzes: settings = [] } = await moodleService.getQuizzesByCourse(moodleToken, courseId);
+      const byId = new Map(settings.map(q => [q.id, q]));
+      quizzes.forEach(quiz => {
+        quiz.sumGrades = byId.get(quiz.quizId)?.sumgrades ?? null;
+        quiz.attemptsAllowed = byId.get(quiz.quizId)?.attempts ?? null;
+      });
+    } catch (err) {
+      logger.warn('Quiz settings unavailable', { courseId, error: err });
+      addWarning({ type: 'degraded', call: 'mod_quiz_get_quizzes_by_courses', target: { courseId }, reason: err.message });
+    }
+
+    const analyzed = [];
+    const attemptedIds = new Map();
+
+    for (const quiz of quizzes) {
+      const attemptsByStudent = new Map();
+
+      await activityBreakdownService.processInBatches(students, 20, async (student) => {
+        try {
+          const { attempts = [] } = await moodleService.getQuizAttempts(moodleToken, quiz.quizId, student.id, 'all');
+          attemptsByStudent.set(student, attempts);
+        } catch (err) {
+          addWarning({
+            type: 'skipped',
+            call: 'mod_quiz_get_user_attempts',
+            target: { courseId, quizId: quiz.quizId, userId: student.id },
+            reason: err.message
+          });
+        }
+      });
+
+      const result = this.analyzeQuiz(quiz, attemptsByStudent, students.length);
+      analyzed.push(result);
+      attemptedIds.set(quiz.quizId, [...attemptsByStudent]
+        .filter(([, attempts]) => attempts.length > 0)
+        .map(([student]) => student.id));
+    }
+
+    return {
+      courseId,
+      totalStudents: students.length,
+      totalQuizzes: analyzed.length,
+      quizzes: analyzed,
+      classes: this.buildClassView(classOrder, analyzed, attemptedIds, students.length),
+      roleFilter: { roles, excluded },
+      groupFilter: describeGroupFilter(group, membership),
+      warnings: getWarnings(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new QuizService();
@@ -0,0 +1,174 @@
+// services/rateLimitService.js
+//
+// Counters behind the rate limit middleware: fixed-window request limits,
+// per-process caps on requests in flight, and progressive lockout after
+// failed logins.
+//
+// Keys: rl:<bucket>:<key>, rl:fail:<user|ip>:<id>, rl:lock:<user|ip>:<id>
+//
+const config = require('../config/moodle');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('../utils/rateLimitStores');
+const logger = require('../utils/logger').child({ module: 'rate-limit' });
+
+const KEY_PREFIX = 'rl';
+
+const normalizeUsername = username => String(username || '').trim().toLowerCase();
+
+class RateLimitService {
+  constructor() {
+    this.config = config.rateLimit;
+    this.store = null;
+    this.inFlight = new Map();
+
+    this.sweepTimer = setInterval(() => this.store?.sweep?.(), 5 * 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  getStore() {
+    if (this.store) return this.store;
+
+    if (this.config.store === 'redis') {
+      // ioredis is only needed when the redis store is selected
+      const Redis = require('ioredis');
+      this.store = new RedisRateLimitStore({ client: new Redis(this.config.redisUrl) });
+    } else {
+      this.store = new MemoryRateLimitStore();
+    }
+
+    logger.info('Rate limit store ready', { store: this.store.name });
+    return this.store;
+  }
+
+  /**
+   * Swap the counter store (any object with incr / get / set / del)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Count one request against a bucket.
+   * Returns { allowed, limit, remaining, resetAt }
+   */
+  async hit(bucket, key, { windowSeconds, max }) {
+    const { count, resetAt } = await this.getStore().incr(`${KEY_PREFIX}:${bucket}:${key}`, windowSeconds * 1000);
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetAt
+    };
+  }
+
+  /**
+   * Take a slot among at most `max` concurrent requests of a key (this
+   * process only). Returns a release function, or null when all are taken.
+   */
+  acquire(bucket, key, max) {
+    const slot = `${bucket}:${key}`;
+    const current = this.inFlight.get(slot) || 0;
+    if (current >= max) return null;
+
+    this.inFlight.set(slot, current + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const left = (this.inFlight.get(slot) || 1) - 1;
+      if (left > 0) this.inFlight.set(slot, left);
+      else this.inFlight.delete(slot);
+    };
+  }
+
+  /**
+   * Active login lockout for the username or the IP:
+   * { scope: 'username' | 'ip', lockedUntil } or null
+   */
+  async getLoginLockout(username, ip) {
+    const store = this.getStore();
+    const [userLock, ipLock] = await Promise.all([
+      store.get(`${KEY_PREFIX}:lock:user:${normalizeUsername(username)}`),
+      store.get(`${KEY_PREFIX}:lock:ip:${ip}`)
+    ]);
+
+    // Report whichever lock lasts longer
+    const locks = [
+      userLock && { scope: 'username', lockedUntil: userLock.resetAt },
+      ipLock && { scope: 'ip', lockedUntil: ipLock.resetAt }
+    ].filter(Boolean);
+
+    return locks.sort((a, b) => b.lockedUntil - a.lockedUntil)[0] || null;
+  }
+
+  /**
+   * Lock duration after `failures` failed attempts, or 0 below the threshold:
+   * base, then doubling with every further failure, capped at the maximum
+   */
+  lockoutSeconds(failures, threshold) {
+    if (failures < threshold) return 0;
+
+    const { lockoutBaseSeconds, lockoutMaxSeconds } = this.config.login;
+    return Math.min(lockoutBaseSeconds * 2 ** (failures - threshold), lockoutMaxSeconds);
+  }
+
+  /**
+   * Record a failed login (wrong credentials) for the username and the IP,
+   * locking either once it passes its threshold.
+   * Returns { failures, lockedUntil } for the username
+   */
+  async recordLoginFailure(username, ip) {
+    if (!this.isEnabled()) return { failures: 0, lockedUntil: null };
+
+    const store = this.getStore();
+    const { failureWindowSeconds, lockoutThreshold, ipLockoutThreshold } = this.config.login;
+    const windowMs = failureWindowSeconds * 1000;
+
+    const targets = [
+      { kind: 'user', id: normalizeUsername(username), threshold: lockoutThreshold },
+      { kind: 'ip', id: ip, threshold: ipLockoutThreshold }
+    ];
+
+    const results = await Promise.all(targets.map(async ({ kind, id, threshold }) => {
+      const { count } = await store.incr(`${KEY_PREFIX}:fail:${kind}:${id}`, windowMs);
+      const seconds = this.lockoutSeconds(count, threshold);
+
+      if (seconds > 0) {
+        await store.set(`${KEY_PREFIX}:lock:${kind}:${id}`, count, seconds * 1000);
+        logger.warn('Login locked', { [kind === 'user' ? 'username' : 'ip']: id, seconds, failures: count });
+        return { failures: count, lockedUntil: Date.now() + seconds * 1000 };
+      }
+      return { failures: count, lockedUntil: null };
+    }));
+
+    return results[0];
+  }
+
+  /**
+   * Clear the username's failures after a successful login. IP failures are
+   * kept, so one valid account cannot reset the counter for guesses against
+   * others from the same address.
+   */
+  async recordLoginSuccess(username) {
+    if (!this.isEnabled()) return;
+
+    const id = normalizeUsername(username);
+    const store = this.getStore();
+    await Promise.all([
+      store.del(`${KEY_PREFIX}:fail:user:${id}`),
+      store.del(`${KEY_PREFIX}:lock:user:${id}`)
+    ]);
+  }
+
+  normalizeUsername(username) {
+    return normalizeUsername(username);
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,178 @@
+// services/reportService.js
+// Full report: access summary, login consistency, course overview and
+// class-wise activity breakdown for a date range
+const moodleService = require('./moodleService');
+const consistentAccessService = require('./consistentAccessService');
+const activityBreakdownService = require('./activityBreakdownService');
+const { getWarnings } = require('../utils/requestContext');
+const { mergeExcluded } = require('../utils/roleFilter');
+const { describeGroupFilter } = require('../utils/groupFilter');
+const { dateKey, startOfDay, endOfDay, eachDay } = require('../utils/timezone');
+const logger = require('../utils/logger').child({ module: 'report' });
+
+const withCompletionRate = row => ({
+  ...row,
+  completionRate: row.totalEnrolled > 0
+    ? Math.round((row.eitherCompleted / row.totalEnrolled) * 100) : 0
+});
+
+class ReportService {
+
+  /**
+   * Build the report.
+   * options:
+   * - job:   receives progress updates and is checked for cancellation
+   *          between batches when run as a background job
+   * - roles: learner role shortnames to count (null = all enrolled users)
+   * - group: { groupId, groupName } to report on one group (batch) only;
+   *          courses without a matching group are left out
+   * - split: add the class table once per group to each course
+   * - timezone: IANA timezone the dates are local to (default UTC)
+   * - rangeType: the dateRange preset the dates came from (reported only)
+   */
+  async generateReport(moodleToken, userId, startDate, endDate, {
+    job = null,
+    roles = null,
+    group = null,
+    split = false,
+    timezone = 'UTC',
+    rangeType = 'custom'
+  } = {}) {
+    const fromTs = startOfDay(startDate, timezone);
+    const toTs   = endOfDay(endDate, timezone);
+    const totalDays = Math.ceil((toTs - fromTs) / 86400);
+
+    // All dates in range
+    const allDates = eachDay(fromTs, toTs, timezone);
+
+    // ── STEP 1: Access Summary ──────────────────────────────────────────
+    logger.debug('Report step: access summary', { startDate, endDate });
+    job?.setStage('accessSummary');
+    const accessData = await consistentAccessService.getConsistentAccessData(
+      moodleToken, userId, 'custom', startDate, endDate, { roles, group, timezone }
+    );
+
+    const accessSummary = {
+      totalUsers:      accessData.summary.totalUniqueUsers,
+      activeUsers:     accessData.summary.uniqueLoggedInUsers,
+      consistentUsers: accessData.summary.consistentUsers,
+      totalLogins:     accessData.summary.totalLogins
+    };
+
+    // ── STEP 2: Courses + date-wise active students ─────────────────────
+    logger.debug('Report step: courses and completion');
+    const courses = await moodleService.getUserCourses(moodleToken, userId);
+    job?.setStage('courses');
+    job?.setCourses(courses.length);
+
+    // date-wise unique students Set
+    const dateWiseStudents = {};
+    allDates.forEach(d => { dateWiseStudents[d] = new Set(); });
+
+    const coursesOverview = [];
+    const activityBreakdown = [];
+    const excluded = { total: 0, byRole: {} };
+
+    for (const course of courses) {
+      logger.debug('Report course', { courseId: course.id, courseName: course.fullname });
+
+      // Modules completed by the course's learners (for the overview progress)
+      let totalCompleted = 0;
+
+      // Same completion sets as the activity breakdown; the raw statuses
+      // also feed the date-wise active students
+      const { students, excluded: courseExcluded, membership, moduleMap, classOrder, classData } =
+        await activityBreakdownService.getCompletionSets(moodleToken, course.id, {
+          job,
+          roles,
+          group,
+          onStatus: (student, status, modInfo) => {
+            if (status.timecompleted && status.timecompleted > 0) {
+              const completedDate = dateKey(status.timecompleted, timezone);
+              dateWiseStudents[completedDate]?.add(student.id);
+            }
+            if (modInfo && (status.state === 1 || status.state === 2)) totalCompleted++;
+          }
+        });
+
+      // With a group filter, courses that do not have the group are left out
+      if (membership && membership.groups.length === 0) {
+        logger.debug('No matching group, course skipped', { courseId: course.id });
+        job?.courseDone();
+        continue;
+      }
+
+      mergeExcluded(excluded, courseExcluded);
+
+      // Course overview progress: completed share of all learner × activity pairs
+      const totalActivities = Object.keys(moduleMap).length;
+      const possible = students.length * totalActivities;
+
+      coursesOverview.push({
+        courseId:   course.id,
+        courseName: course.fullname,
+        shortname:  course.shortname || '',
+        progress:   possible > 0 ? parseFloat(((totalCompleted / possible) * 100).toFixed(1)) : 0
+      });
+
+      // Activity breakdown — class-wise
+      const classes = classOrder.map(label =>
+        withCompletionRate(activityBreakdownService.summarizeClass(label, classData[label], students.length))
+      );
+
+      const groups = split
+        ? activityBreakdownService.splitByGroup(
+          classOrder,
+          classData,
+          students,
+          await activityBreakdownService.getSplitGroups(moodleToken, course.id, membership)
+        ).map(g => ({ ...g, classes: g.classes.map(withCompletionRate) }))
+        : undefined;
+
+      activityBreakdown.push({
+        courseId:      course.id,
+        courseName:    course.fullname,
+        shortname:     course.shortname || '',
+        totalEnrolled: students.length,
+        totalClasses:  classes.length,
+        roleFilter:    { roles, excluded: courseExcluded },
+        groupFilter:   describeGroupFilter(group, membership),
+        classes,
+        groups
+      });
+
+      job?.courseDone();
+    }
+
+    // ── STEP 3: loginConsistency — date-wise from timecompleted ────────
+    const loginConsistency = allDates.map(date => ({
+      date,
+      criteria: date,
+      count: dateWiseStudents[date].size
+    }));
+
+    return {
+      dateRange: {
+        type:      rangeType,
+        timezone,
+        fromDate:  startDate,
+        toDate:    endDate,
+        from:      fromTs,
+        to:        toTs,
+        fromInstant: new Date(fromTs * 1000).toISOString(),
+        toInstant:   new Date(toTs   * 1000).toISOString(),
+        totalDays
+      },
+      accessSummary,
+      loginConsistency,
+      coursesOverview,
+      activityBreakdown,
+      roleFilter: { roles, excluded },
+      groupFilter: group && { ...group, matchedCourses: activityBreakdown.length },
+      warnings: getWarnings(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new ReportService();
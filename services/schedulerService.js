@@ -0,0 +1,268 @@
+// services/schedulerService.js
+//
+// In-process scheduler for service-account work. Tasks from
+// config.scheduler.tasks run on cron expressions with the MOODLE_TOKEN site
+// token (covering every course of the site) through the job queue, and the
+// latest result of each task is kept with its `asOf` time so it can be
+// served without recomputing.
+//
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/moodle');
+const moodleService = require('./moodleService');
+const jobService = require('./jobService');
+const activityBreakdownService = require('./activityBreakdownService');
+const consistentAccessService = require('./consistentAccessService');
+const reportService = require('./reportService');
+const accessSnapshotService = require('./accessSnapshotService');
+const { parseCron, nextRun } = require('../utils/cron');
+const { parseRoles } = require('../utils/roleFilter');
+const { parseGroupFilter, parseSplit } = require('../utils/groupFilter');
+const { getDateRange, toDateKey } = require('../utils/dateRange');
+const logger = require('../utils/logger').child({ module: 'scheduler' });
+
+const OWNER = 'scheduler';
+const TICK_MS = 30 * 1000;
+
+/**
+ * What each task type computes. params come from the task config, in the
+ * same shape as the matching endpoint's query.
+ */
+const RUNNERS = {
+  activityBreakdown: (token, userId, params, job) =>
+    activityBreakdownService.getAllCoursesCompletionBreakdown(token, userId, {
+      job,
+      roles: parseRoles(params.roles),
+      group: parseGroupFilter(params),
+      split: parseSplit(params.split)
+    }),
+
+  consistentAccess: (token, userId, params, job, timeZone) => {
+    job.setStage('consistentAccess');
+    return consistentAccessService.getConsistentAccessData(
+      token,
+      userId,
+      params.dateRange || 'week',
+      params.startDate,
+      params.endDate,
+      {
+        source: params.source || 'auto',
+        roles: parseRoles(params.roles),
+        group: parseGroupFilter(params),
+        timezone: timeZone,
+        days: params.days
+      }
+    );
+  },
+
+  report: (token, userId, params, job, timeZone) => {
+    const rangeType = params.dateRange || 'last_month';
+    const range = getDateRange(rangeType, params.startDate, params.endDate, timeZone, { days: params.days });
+
+    return reportService.generateReport(
+      token,
+      userId,
+      toDateKey(range.from, timeZone),
+      toDateKey(range.to, timeZone),
+      {
+        job,
+        roles: parseRoles(params.roles),
+        group: parseGroupFilter(params),
+        split: parseSplit(params.split),
+        timezone: timeZone,
+        rangeType
+      }
+    );
+  },
+
+  // Only a summary is kept; the snapshot itself goes to the snapshot store
+  snapshot: async (token, userId, params, job) => {
+    job.setStage('snapshot');
+    const snapshot = await accessSnapshotService.takeSnapshot(token);
+    return snapshot && {
+      takenAt: snapshot.takenAt,
+      courses: snapshot.courses,
+      failedCourses: snapshot.failedCourses,
+      users: Object.keys(snapshot.users).length
+    };
+  }
+};
+
+class SchedulerService {
+  constructor() {
+    this.config = config.scheduler;
+    this.TYPES = Object.keys(RUNNERS);
+    this.tasks = new Map();
+    this.results = new Map();
+    this.timer = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled && config.moodleToken);
+  }
+
+  /**
+   * Validate the configured tasks; invalid ones are logged and left out
+   */
+  loadTasks() {
+    this.tasks.clear();
+
+    (this.config.tasks || []).forEach(definition => {
+      try {
+        if (!definition.id) throw new Error('missing id');
+        if (!RUNNERS[definition.type]) {
+          throw new Error(`unknown type "${definition.type}" (use ${this.TYPES.join(', ')})`);
+        }
+
+        this.tasks.set(definition.id, {
+          id: definition.id,
+          type: definition.type,
+          cron: parseCron(definition.cron),
+          params: definition.params || {},
+          nextRunAt: null,
+          lastRun: null,
+          running: false
+        });
+      } catch (err) {
+        logger.error('Ignoring invalid task', { taskId: definition.id, error: err });
+      }
+    });
+
+    return this.tasks;
+  }
+
+  /**
+   * Start the scheduler tick
+   */
+  start() {
+    if (this.timer) return;
+
+    if (!this.isEnabled()) {
+      logger.info('Scheduler disabled (set SCHEDULER_ENABLED=true and MOODLE_TOKEN)');
+      return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    this.loadTasks().forEach(task => {
+      task.nextRunAt = nextRun(task.cron, now, this.config.timezone);
+    });
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+
+    logger.info('Tasks scheduled', { tasks: this.tasks.size, timezone: this.config.timezone });
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    const now = Math.floor(Date.now() / 1000);
+
+    this.tasks.forEach(task => {
+      if (!task.nextRunAt || task.nextRunAt > now) return;
+
+      task.nextRunAt = nextRun(task.cron, now, this.config.timezone);
+      if (task.running) {
+        logger.warn('Task still running, skipping this run', { taskId: task.id });
+        return;
+      }
+      this.runTask(task.id);
+    });
+  }
+
+  /**
+   * Queue a task now. Returns the job.
+   */
+  runTask(taskId) {
+    if (this.tasks.size === 0) this.loadTasks();
+
+    const task = this.tasks.get(taskId);
+    if (!task) throw Object.assign(new Error(`Unknown task "${taskId}"`), { status: 404 });
+    if (task.running) throw Object.assign(new Error(`Task "${taskId}" is already running`), { status: 409 });
+
+    task.running = true;
+    const job = jobService.createJob(task.type, OWNER, { taskId, ...task.params }, async (job) => {
+      const asOf = new Date().toISOString();
+      const started = Date.now();
+
+      try {
+        const token = moodleService.getServiceToken();
+        const { userid } = await moodleService.getSiteInfo(token);
+        const data = await RUNNERS[task.type](token, userid, task.params, job, this.config.timezone);
+
+        const result = {
+          taskId,
+          type: task.type,
+          params: task.params,
+          asOf,
+          durationMs: Date.now() - started,
+          data
+        };
+        await this.saveResult(result);
+        task.lastRun = { status: 'completed', asOf, durationMs: result.durationMs, error: null };
+
+        logger.info('Task completed', { taskId, durationMs: result.durationMs });
+        return { taskId, asOf };
+      } catch (err) {
+        task.lastRun = { status: 'failed', asOf, durationMs: Date.now() - started, error: err.message };
+        throw err;
+      } finally {
+        task.running = false;
+      }
+    });
+
+    logger.info('Task queued', { taskId, jobId: job.id });
+    return job;
+  }
+
+  fileFor(taskId) {
+    return path.join(this.config.dir, `${encodeURIComponent(taskId)}.json`);
+  }
+
+  async saveResult(result) {
+    this.results.set(result.taskId, result);
+    await fs.mkdir(this.config.dir, { recursive: true });
+    await fs.writeFile(this.fileFor(result.taskId), JSON.stringify(result));
+  }
+
+  /**
+   * Latest stored result of a task (survives restarts), or null
+   */
+  async getResult(taskId) {
+    if (this.results.has(taskId)) return this.results.get(taskId);
+
+    try {
+      const result = JSON.parse(await fs.readFile(this.fileFor(taskId), 'utf8'));
+      this.results.set(taskId, result);
+      return result;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Configured tasks with their schedule and latest run
+   */
+  async listTasks() {
+    if (this.tasks.size === 0) this.loadTasks();
+
+    return Promise.all([...this.tasks.values()].map(async task => {
+      const stored = await this.getResult(task.id);
+      return {
+        id: task.id,
+        type: task.type,
+        cron: task.cron.expression,
+        params: task.params,
+        running: task.running,
+        nextRunAt: task.nextRunAt ? new Date(task.nextRunAt * 1000).toISOString() : null,
+        lastRun: task.lastRun,
+        asOf: stored?.asOf || null
+      };
+    }));
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,214 @@
+// services/sessionService.js
+//
+// Server-side login sessions. Clients hold a short JWT with an opaque
+// session id (sid) and a refresh token; the Moodle token never leaves the
+// server and is encrypted in the session store.
+//
+// Refresh tokens rotate on every use. Presenting an already-used refresh
+// token means it was copied, so the whole session is revoked.
+//
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/moodle');
+const { MemorySessionStore, FileSessionStore } = require('../utils/sessionStores');
+const { deriveKey, encrypt, decrypt } = require('../utils/encryption');
+const logger = require('../utils/logger').child({ module: 'sessions' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastUsedAt is only written back when older than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+class SessionService {
+  constructor() {
+    this.config = config.sessions;
+    this.store = null;
+    this.key = null;
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup().catch(err => logger.error('Session cleanup failed', { error: err }));
+    }, 60 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  getStore() {
+    if (this.store) return this.store;
+
+    this.store = this.config.store === 'file'
+      ? new FileSessionStore({ dir: this.config.dir })
+      : new MemorySessionStore();
+
+    logger.info('Session store ready', { store: this.store.name });
+    return this.store;
+  }
+
+  /**
+   * Swap the session store (any object with get / set / del / list)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  getKey() {
+    if (!this.key) {
+      if (!this.config.encryptionKey) {
+        logger.warn('SESSION_ENCRYPTION_KEY not set, deriving the key from JWT_SECRET');
+      }
+      this.key = deriveKey(this.config.encryptionKey || config.jwtSecret);
+    }
+    return this.key;
+  }
+
+  /**
+   * Access JWT for a session: only the session id is inside
+   */
+  signAccessToken(sessionId) {
+    return jwt.sign({ sid: sessionId }, config.jwtSecret, { expiresIn: config.jwtExpiry });
+  }
+
+  /**
+   * Issue a new refresh token for the session (stores only its hash)
+   */
+  rotateRefreshToken(session) {
+    const secret = randomToken();
+    session.refreshHash = hash(secret);
+    session.refreshedAt = Date.now();
+    return `${session.id}.${secret}`;
+  }
+
+  /**
+   * Start a session after a successful Moodle login.
+   * user: { userId, username, moodleToken, role, teachingCourseIds }
+   * Returns { sessionId, token, refreshToken, expiresAt }
+   */
+  async create(user, { ip = null, userAgent = null } = {}) {
+    const now = Date.now();
+    const session = {
+      id: randomToken(),
+      userId: user.userId,
+      username: user.username,
+      role: user.role,
+      teachingCourseIds: user.teachingCourseIds || [],
+      moodleToken: encrypt(user.moodleToken, this.getKey()),
+      ip,
+      userAgent,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: now + this.config.refreshTtlDays * DAY_MS
+    };
+
+    const refreshToken = this.rotateRefreshToken(session);
+    await this.getStore().set(session.id, session);
+
+    logger.info('Session created', { userId: user.userId });
+    return {
+      sessionId: session.id,
+      token: this.signAccessToken(session.id),
+      refreshToken,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Live session by id (with the Moodle token decrypted), or null when it
+   * was revoked, expired or cannot be decrypted
+   */
+  async resolve(sessionId) {
+    if (!sessionId) return null;
+
+    const store = this.getStore();
+    const session = await store.get(sessionId);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      await store.del(sessionId);
+      return null;
+    }
+
+    let moodleToken;
+    try {
+      moodleToken = decrypt(session.moodleToken, this.getKey());
+    } catch {
+      logger.warn('Session cannot be decrypted, dropping it', { session: `${sessionId.slice(0, 8)}…` });
+      await store.del(sessionId);
+      return null;
+    }
+
+    if (Date.now() - session.lastUsedAt > TOUCH_INTERVAL_MS) {
+      session.lastUsedAt = Date.now();
+      await store.set(sessionId, session);
+    }
+
+    return { ...session, moodleToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * Throws an error with status 401 when the token is unknown, expired or
+   * reused (reuse revokes the session).
+   */
+  async refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+      throw httpError('Invalid refresh token', 401);
+    }
+
+    const store = this.getStore();
+    const session = await store.get(sessionId);
+    if (!session || session.expiresAt <= Date.now()) {
+      throw httpError('Session expired or revoked, please log in again', 401);
+    }
+
+    const presented = Buffer.from(hash(secret));
+    const current = Buffer.from(session.refreshHash);
+    if (presented.length !== current.length || !crypto.timingSafeEqual(presented, current)) {
+      await store.del(sessionId);
+      logger.warn('Refresh token reuse, session revoked', { userId: session.userId });
+      throw httpError('Refresh token already used; the session has been revoked, please log in again', 401);
+    }
+
+    const nextRefreshToken = this.rotateRefreshToken(session);
+    session.lastUsedAt = Date.now();
+    await store.set(sessionId, session);
+
+    return {
+      sessionId,
+      token: this.signAccessToken(sessionId),
+      refreshToken: nextRefreshToken,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+
+  async revoke(sessionId) {
+    await this.getStore().del(sessionId);
+  }
+
+  /**
+   * Revoke every session of a user; returns how many were revoked
+   */
+  async revokeAll(userId) {
+    const store = this.getStore();
+    const sessions = (await store.list()).filter(s => s.userId === userId);
+    await Promise.all(sessions.map(s => store.del(s.id)));
+
+    logger.info('Sessions revoked', { userId, count: sessions.length });
+    return sessions.length;
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  async cleanup() {
+    const store = this.getStore();
+    const expired = (await store.list()).filter(s => s.expiresAt <= Date.now());
+    await Promise.all(expired.map(s => store.del(s.id)));
+    return expired.length;
+  }
+}
+
+module.exports = new SessionService();
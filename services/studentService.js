@@ -0,0 +1,207 @@
+// services/studentService.js
+// Per-student drill-down: profile, courses, class-by-class completion and grades
+const moodleService = require('./moodleService');
+const accessService = require('./accessService');
+const activityBreakdownService = require('./activityBreakdownService');
+const { addWarning, getWarnings } = require('../utils/requestContext');
+const logger = require('../utils/logger').child({ module: 'students' });
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+class StudentService {
+
+  profileOf(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      fullname: user.fullname,
+      email: user.email || '',
+      firstaccess: user.firstaccess || 0,
+      lastaccess: user.lastaccess || 0,
+      profileImageUrl: user.profileimageurl || null
+    };
+  }
+
+  /**
+   * Class-by-class completion of one student, using the same module map
+   * (and activity classification) as the activity breakdown
+   */
+  buildClasses(sections, courseId, statuses) {
+    const { moduleMap, classOrder } = activityBreakdownService.buildModuleMap(sections, courseId);
+    const byCmid = new Map(statuses.map(s => [s.cmid, s]));
+
+    const classes = classOrder.map(label => ({
+      className: label,
+      videoCompleted: false,
+      pdfCompleted: false,
+      completedByType: {},
+      totalByType: {},
+      activities: []
+    }));
+    const byLabel = new Map(classes.map(c => [c.className, c]));
+
+    Object.values(moduleMap).forEach(mod => {
+      const cls = byLabel.get(mod.classLabel);
+      const status = byCmid.get(mod.moduleId);
+      const completed = status?.state === 1 || status?.state === 2;
+
+      cls.totalByType[mod.type] = (cls.totalByType[mod.type] || 0) + 1;
+      if (completed) {
+        cls.completedByType[mod.type] = (cls.completedByType[mod.type] || 0) + 1;
+        if (mod.type === 'video') cls.videoCompleted = true;
+        if (mod.type === 'pdf') cls.pdfCompleted = true;
+      }
+
+      cls.activities.push({
+        moduleId: mod.moduleId,
+        name: mod.moduleName,
+        modname: mod.modname,
+        type: mod.type,
+        state: status ? status.state : null,
+        completed,
+        timecompleted: status?.timecompleted || null
+      });
+    });
+
+    return classes;
+  }
+
+  gradeItemsOf(grades) {
+    const items = grades?.usergrades?.[0]?.gradeitems || [];
+
+    return items.map(item => ({
+      id: item.id,
+      itemName: item.itemname || (item.itemtype === 'course' ? 'Course total' : ''),
+      itemType: item.itemtype,
+      itemModule: item.itemmodule || null,
+      cmid: item.cmid || null,
+      grade: item.graderaw ?? null,
+      gradeFormatted: item.gradeformatted || '',
+      gradeMin: item.grademin ?? null,
+      gradeMax: item.grademax ?? null,
+      percentage: item.percentageformatted || '',
+      gradedAt: item.gradedategraded || null
+    }));
+  }
+
+  /**
+   * Drill-down for one course the student is enrolled in
+   */
+  async getCourseDetail(moodleToken, course, student) {
+    const courseId = course.id;
+
+    const [sections, completion, grades] = await Promise.all([
+      moodleService.getCourseContents(moodleToken, courseId).catch(err => {
+        addWarning({ type: 'skipped', call: 'core_course_get_contents', target: { courseId }, reason: err.message });
+        return [];
+      }),
+      moodleService.getActivitiesCompletion(moodleToken, courseId, student.id).catch(err => {
+        addWarning({
+          type: 'skipped',
+          call: 'core_completion_get_activities_completion_status',
+          target: { courseId, userId: student.id },
+          reason: err.message
+        });
+        return { statuses: [] };
+      }),
+      moodleService.getUserGrades(moodleToken, courseId, student.id).catch(err => {
+        addWarning({
+          type: 'skipped',
+          call: 'gradereport_user_get_grade_items',
+          target: { courseId, userId: student.id },
+          reason: err.message
+        });
+        return null;
+      })
+    ]);
+
+    return {
+      courseId,
+      courseName: course.fullname,
+      shortname: course.shortname || '',
+      roles: (student.roles || []).map(r => r.shortname),
+      lastAccess: student.lastcourseaccess || null,
+      classes: this.buildClasses(sections, courseId, completion.statuses || []),
+      grades: this.gradeItemsOf(grades)
+    };
+  }
+
+  /**
+   * The student's enrolment record in a course. Throws 403 before 404 so
+   * callers without access cannot probe who is enrolled.
+   */
+  async getVisibleEnrolment(moodleToken, viewer, courseId, studentId) {
+    if (!accessService.canViewStudent(viewer, studentId, courseId)) {
+      throw httpError(
+        viewer.role === 'teacher'
+          ? `You do not hold a teaching role in course ${courseId}`
+          : 'Students can only view their own progress',
+        403
+      );
+    }
+
+    const enrolled = await moodleService.getEnrolledUsers(moodleToken, courseId);
+    const student = enrolled.find(u => u.id === studentId);
+    if (!student) {
+      throw httpError('Student is not enrolled in this course', 404);
+    }
+
+    return student;
+  }
+
+  /**
+   * GET /api/students/:id — every course of the student the viewer may see.
+   * Students are refused before any Moodle call unless it is their own id,
+   * and an id without courses gets the same 403 as one without visible
+   * courses, so the answer never reveals whether the id is enrolled.
+   */
+  async getStudent(moodleToken, viewer, studentId) {
+    if (studentId !== viewer.userId && !accessService.hasRole(viewer.role, 'teacher')) {
+      throw httpError('Students can only view their own progress', 403);
+    }
+
+    const courses = await moodleService.getUserCourses(moodleToken, studentId);
+
+    let profile = null;
+    const visible = [];
+
+    for (const course of courses) {
+      try {
+        const student = await this.getVisibleEnrolment(moodleToken, viewer, course.id, studentId);
+        profile = profile || this.profileOf(student);
+        visible.push(await this.getCourseDetail(moodleToken, course, student));
+      } catch (err) {
+        if (err.status === 403 || err.status === 404) continue;
+        logger.warn('Course skipped', { courseId: course.id, error: err });
+        addWarning({ type: 'skipped', call: 'core_enrol_get_enrolled_users', target: { courseId: course.id }, reason: err.message });
+      }
+    }
+
+    if (!profile) {
+      throw httpError('This student is not enrolled in any course you can view', 403);
+    }
+
+    return {
+      profile,
+      courses: visible,
+      warnings: getWarnings()
+    };
+  }
+
+  /**
+   * GET /api/courses/:courseId/students/:id
+   */
+  async getStudentInCourse(moodleToken, viewer, courseId, studentId) {
+    const student = await this.getVisibleEnrolment(moodleToken, viewer, courseId, studentId);
+    const courses = await moodleService.getUserCourses(moodleToken, studentId);
+    const course = courses.find(c => c.id === courseId) || { id: courseId, fullname: `Course ${courseId}` };
+
+    return {
+      profile: this.profileOf(student),
+      course: await this.getCourseDetail(moodleToken, course, student),
+      warnings: getWarnings()
+    };
+  }
+}
+
+module.exports = new StudentService();
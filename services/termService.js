@@ -0,0 +1,99 @@
+// services/termService.js
+//
+// Named academic terms ("2026 Batch Term 1": 2026-01-05 → 2026-04-30) kept in
+// a JSON file so ranges can be selected as ?dateRange=term:<id>. Dates are
+// calendar days, cut at midnight in the request's timezone.
+//
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/moodle');
+const { isDate } = require('../utils/dateRange');
+const logger = require('../utils/logger').child({ module: 'terms' });
+
+const ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+class TermService {
+  constructor() {
+    this.file = config.terms.file;
+    this.terms = null;
+  }
+
+  /**
+   * Read the terms file once (synchronously, so date ranges can be resolved
+   * without awaiting). A missing file means no terms.
+   */
+  load() {
+    if (this.terms) return this.terms;
+
+    this.terms = new Map();
+    try {
+      const list = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (Array.isArray(list) ? list : []).forEach(term => {
+        try {
+          this.terms.set(term.id, this.validate(term.id, term));
+        } catch (err) {
+          logger.warn('Ignoring invalid term', { termId: term?.id, error: err });
+        }
+      });
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error('Could not read terms file', { file: this.file, error: err });
+      }
+    }
+
+    return this.terms;
+  }
+
+  list() {
+    return [...this.load().values()].sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  /**
+   * Normalise a term definition; throws an error with status 400 when invalid
+   */
+  validate(id, { name, startDate, endDate } = {}) {
+    if (!ID_RE.test(id || '')) {
+      throw httpError('Term id may only contain letters, digits, ".", "_" and "-"', 400);
+    }
+    if (!isDate(startDate) || !isDate(endDate)) {
+      throw httpError('startDate and endDate are required (YYYY-MM-DD)', 400);
+    }
+    if (startDate > endDate) {
+      throw httpError('startDate must not be after endDate', 400);
+    }
+
+    return { id, name: name ? String(name) : id, startDate, endDate };
+  }
+
+  /**
+   * Create or replace a term and persist the file
+   */
+  async save(id, definition) {
+    const term = this.validate(id, definition);
+    this.load().set(id, term);
+    await this.persist();
+    return term;
+  }
+
+  /**
+   * Delete a term; returns false when it did not exist
+   */
+  async remove(id) {
+    if (!this.load().delete(id)) return false;
+    await this.persist();
+    return true;
+  }
+
+  async persist() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(this.file, JSON.stringify(this.list(), null, 2) + '\n');
+  }
+}
+
+module.exports = new TermService();
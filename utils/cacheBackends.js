@@ -0,0 +1,119 @@
+// utils/cacheBackends.js
+//
+// Pluggable storage for the Moodle response cache. Every backend exposes the
+// same async interface:
+//   get(key) → string | null
+//   set(key, value, ttlSeconds)
+//   del(key)
+//   keys(pattern)  → string[]   (glob pattern, `*` wildcard only)
+//   ttl(key)       → seconds left, -2 when missing
+//
+
+const globToRegExp = pattern =>
+  new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+
+/**
+ * In-process LRU cache. A Map keeps insertion order, so re-inserting on
+ * every read moves the entry to the end and the first key is the LRU one.
+ */
+class MemoryLRUBackend {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.store = new Map();
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.store.delete(key);
+      return null;
+    }
+
+    this.store.delete(key);
+    this.store.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.store.delete(key);
+    this.store.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.store.size > this.maxEntries) {
+      this.store.delete(this.store.keys().next().value);
+    }
+  }
+
+  async del(key) {
+    this.store.delete(key);
+  }
+
+  async keys(pattern = '*') {
+    const regex = globToRegExp(pattern);
+    const result = [];
+    for (const [key, entry] of this.store) {
+      if (this.isExpired(entry)) {
+        this.store.delete(key);
+        continue;
+      }
+      if (regex.test(key)) result.push(key);
+    }
+    return result;
+  }
+
+  async ttl(key) {
+    const entry = this.store.get(key);
+    if (!entry || this.isExpired(entry)) return -2;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+}
+
+/**
+ * Redis-compatible backend. Works with any client exposing the ioredis-style
+ * commands get / set(key, value, 'EX', ttl) / del / scan / ttl,
+ * so a local fake can stand in for a real server.
+ */
+class RedisBackend {
+  constructor({ client }) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  async get(key) {
+    return await this.client.get(key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, value, 'EX', ttlSeconds);
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  async keys(pattern = '*') {
+    const result = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      cursor = String(next);
+      result.push(...batch);
+    } while (cursor !== '0');
+    return result;
+  }
+
+  async ttl(key) {
+    return await this.client.ttl(key);
+  }
+}
+
+module.exports = {
+  MemoryLRUBackend,
+  RedisBackend
+};
@@ -0,0 +1,115 @@
+// utils/circuitBreaker.js
+//
+// closed    → calls pass through; consecutive failures are counted
+// open      → calls fail fast until resetTimeoutMs has passed
+// half_open → a limited number of trial calls; success closes, failure re-opens
+//
+const logger = require('./logger').child({ module: 'circuit' });
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`Moodle server unavailable (circuit ${name} open), retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000, halfOpenMaxCalls = 1 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Throws CircuitOpenError when the call must not go out
+   */
+  beforeCall() {
+    if (this.state === 'open') {
+      const elapsed = Date.now() - this.openedAt;
+      if (elapsed < this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.name, this.resetTimeoutMs - elapsed);
+      }
+      this.transition('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        throw new CircuitOpenError(this.name, this.resetTimeoutMs);
+      }
+      this.halfOpenCalls++;
+    }
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') this.transition('closed');
+  }
+
+  onFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    logger.warn('Circuit state changed', { circuit: this.name, from: this.state, to: state });
+    this.state = state;
+    this.halfOpenCalls = 0;
+    this.openedAt = state === 'open' ? Date.now() : null;
+  }
+
+  /**
+   * Run fn through the breaker. Only errors for which isFailure(error) is
+   * true count against the circuit (e.g. not Moodle validation errors).
+   */
+  async execute(fn, isFailure = () => true) {
+    this.beforeCall();
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        // The server answered, so it is reachable
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryInMs: this.state === 'open'
+        ? Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt))
+        : 0,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError
+};
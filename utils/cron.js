@@ -0,0 +1,134 @@
+// utils/cron.js
+//
+// Minimal 5-field cron expressions (minute hour day-of-month month
+// day-of-week) evaluated in an IANA timezone. Supports *, lists (1,15),
+// ranges (1-5) and steps (*/15, 0-30/10). Day-of-week 0 and 7 are Sunday.
+// As in classic cron, when both day fields are restricted either may match.
+// Times that a DST change skips (02:30 on a spring-forward night) run at the
+// first instant after the gap; times repeated on fall-back run once.
+//
+const { localParts, offsetAt, dateKey, addDays } = require('./timezone');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const badCron = (expression, reason) => new Error(`Invalid cron expression "${expression}": ${reason}`);
+
+const parseField = (text, { name, min, max }, expression) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw badCron(expression, `bad step in ${name}`);
+
+    let from = min;
+    let to = max;
+    if (rangeText !== '*') {
+      [from, to = stepText === undefined ? from : max] = rangeText.split('-').map(Number);
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw badCron(expression, `${name} must be within ${min}-${max}`);
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+
+  return values;
+};
+
+/**
+ * Parse an expression; throws on invalid input
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw badCron(expression, 'expected 5 fields');
+
+  const cron = { expression };
+  FIELDS.forEach((field, i) => {
+    cron[field.name] = parseField(parts[i], field, expression);
+  });
+
+  if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+  return cron;
+};
+
+const dayMatches = (cron, key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  if (!cron.month.has(month)) return false;
+
+  const domMatch = cron.dayOfMonth.has(day);
+  const dowMatch = cron.dayOfWeek.has(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+};
+
+/**
+ * Unix timestamp of a local wall-clock time on 'YYYY-MM-DD'. A time inside
+ * a DST gap resolves to the end of the gap; an ambiguous fall-back time to
+ * its first occurrence.
+ */
+const localTime = (key, hour, minute, timeZone) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute) / 1000;
+
+  // Second pass corrects the offset when the time is near a DST change
+  let ts = guess - offsetAt(guess, timeZone);
+  ts = guess - offsetAt(ts, timeZone);
+
+  const local = localParts(ts, timeZone);
+  if (local.hour === hour && local.minute === minute) return ts;
+
+  // In the gap: with the offset from before the change the time lands past
+  // it; search back for the change itself (offsets change on whole minutes)
+  const before = offsetAt(guess - 86400, timeZone);
+  const after = guess - before;
+  const gap = offsetAt(after, timeZone) - before;
+
+  let lo = after - gap;
+  let hi = after;
+  while (hi - lo > 60) {
+    const mid = lo + Math.floor((hi - lo) / 120) * 60;
+    if (offsetAt(mid, timeZone) === before) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+};
+
+/**
+ * Next unix timestamp (whole minute) strictly after `after` at which the
+ * expression fires in the timezone, or null within a year
+ */
+const nextRun = (cron, after, timeZone = 'UTC') => {
+  const hours = [...cron.hour].sort((a, b) => a - b);
+  const minutes = [...cron.minute].sort((a, b) => a - b);
+  const firstDay = dateKey(after, timeZone);
+
+  for (let d = 0; d <= 366; d++) {
+    const key = addDays(firstDay, d);
+    if (!dayMatches(cron, key)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const ts = localTime(key, hour, minute, timeZone);
+        if (ts > after) return ts;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
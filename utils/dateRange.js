@@ -0,0 +1,177 @@
+// utils/dateRange.js
+// The single dateRange resolver used by every endpoint that takes a range.
+// Days are cut at local midnight in the requested IANA timezone.
+const { dateKey, startOfDay, endOfDay, addDays, addMonths } = require('./timezone');
+
+const PRESETS = [
+  'today',
+  'yesterday',
+  'week',
+  'month',
+  'last_n_days',
+  'this_month',
+  'last_month',
+  'quarter',
+  'custom',
+  'term:<id>'
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DAYS = 366;
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+const toDateKey = (ts, timeZone = 'UTC') => dateKey(ts, timeZone);
+
+// A real calendar day: new Date() rolls 2026-02-31 over to 2026-03-03
+const isDate = value => {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Resolve a preset to unix timestamps { from, to, timezone } (both inclusive).
+ *
+ * - today / yesterday
+ * - week:        the last 7 days and today
+ * - month:       one month back to now
+ * - last_n_days: the N whole days before today (options.days, default 30)
+ * - this_month / quarter: from the 1st of the month / calendar quarter to now
+ * - last_month:  the whole previous calendar month
+ * - custom:      fromDateStr → toDateStr ('YYYY-MM-DD')
+ * - term:<id>:   a named academic term, cut off at now while it is running
+ *
+ * Unknown presets fall back to 'yesterday'. Invalid input throws an error
+ * with status 400.
+ */
+function getDateRange(dateRange, fromDateStr, toDateStr, timeZone = 'UTC', { days } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const today = dateKey(now, timeZone);
+  const range = (from, to) => ({ from, to, timezone: timeZone });
+
+  if (typeof dateRange === 'string' && dateRange.startsWith('term:')) {
+    return getTermRange(dateRange.slice('term:'.length), now, timeZone);
+  }
+
+  switch (dateRange) {
+    case 'today':
+      return range(startOfDay(today, timeZone), now);
+
+    case 'yesterday': {
+      const yesterday = addDays(today, -1);
+      return range(startOfDay(yesterday, timeZone), endOfDay(yesterday, timeZone));
+    }
+
+    case 'week':
+      return range(startOfDay(addDays(today, -7), timeZone), now);
+
+    case 'month':
+      return range(startOfDay(addMonths(today, -1), timeZone), now);
+
+    case 'last_n_days': {
+      const n = days === undefined || days === '' ? 30 : Number(days);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_DAYS) {
+        throw badRequest(`days must be a whole number between 1 and ${MAX_DAYS}`);
+      }
+      return { ...range(startOfDay(addDays(today, -n), timeZone), endOfDay(addDays(today, -1), timeZone)), days: n };
+    }
+
+    case 'this_month':
+      return range(startOfDay(`${today.slice(0, 7)}-01`, timeZone), now);
+
+    case 'last_month': {
+      const first = addMonths(`${today.slice(0, 7)}-01`, -1);
+      return range(startOfDay(first, timeZone), endOfDay(addDays(addMonths(first, 1), -1), timeZone));
+    }
+
+    case 'quarter': {
+      const month = Number(today.slice(5, 7));
+      const firstMonth = String(month - ((month - 1) % 3)).padStart(2, '0');
+      return range(startOfDay(`${today.slice(0, 4)}-${firstMonth}-01`, timeZone), now);
+    }
+
+    case 'custom': {
+      if (!fromDateStr || !toDateStr) {
+        throw badRequest('Custom range requires startDate and endDate');
+      }
+      if (!isDate(fromDateStr) || !isDate(toDateStr)) {
+        throw badRequest('Invalid date format (YYYY-MM-DD)');
+      }
+      if (fromDateStr > toDateStr) {
+        throw badRequest('startDate must not be after endDate');
+      }
+      return range(startOfDay(fromDateStr, timeZone), endOfDay(toDateStr, timeZone));
+    }
+
+    default:
+      return getDateRange('yesterday', null, null, timeZone);
+  }
+}
+
+/**
+ * A named term; a running term ends at now so day counts only cover days
+ * that have happened
+ */
+function getTermRange(id, now, timeZone) {
+  // Required here: termService imports isDate from this module
+  const termService = require('../services/termService');
+  const term = termService.get(id);
+  if (!term) {
+    throw badRequest(`Unknown term "${id}"`);
+  }
+
+  const from = startOfDay(term.startDate, timeZone);
+  if (from > now) {
+    throw badRequest(`Term "${term.name}" has not started yet`);
+  }
+
+  return {
+    from,
+    to: Math.min(endOfDay(term.endDate, timeZone), now),
+    timezone: timeZone,
+    term: { id: term.id, name: term.name, startDate: term.startDate, endDate: term.endDate }
+  };
+}
+
+/**
+ * Resolve the range of a request from its query (or body):
+ * dateRange, startDate / endDate (or from / to) and days
+ */
+function resolveRange(query, timeZone = 'UTC', fallback = 'yesterday') {
+  const type = query.dateRange || fallback;
+  const range = getDateRange(
+    type,
+    query.from || query.startDate,
+    query.to || query.endDate,
+    timeZone,
+    { days: query.days }
+  );
+  return { type, range };
+}
+
+/**
+ * The `dateRange` block returned in responses: local dates plus the exact
+ * instants used
+ */
+const describeRange = (type, range) => ({
+  type,
+  timezone: range.timezone || 'UTC',
+  from: range.from,
+  to: range.to,
+  fromDate: toDateKey(range.from, range.timezone),
+  toDate: toDateKey(range.to, range.timezone),
+  fromInstant: new Date(range.from * 1000).toISOString(),
+  toInstant: new Date(range.to * 1000).toISOString(),
+  ...(range.days && { days: range.days }),
+  ...(range.term && { term: range.term })
+});
+
+module.exports = {
+  PRESETS,
+  getDateRange,
+  resolveRange,
+  describeRange,
+  toDateKey,
+  isDate
+};
@@ -0,0 +1,39 @@
+// utils/encryption.js
+// AES-256-GCM for secrets kept at rest (Moodle tokens in session stores)
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * 32-byte key from any secret string
+ */
+const deriveKey = secret => crypto.createHash('sha256').update(String(secret)).digest();
+
+/**
+ * Encrypt a string → 'iv.tag.ciphertext' (base64url parts)
+ */
+const encrypt = (plaintext, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt the output of encrypt(); throws when the key is wrong or the
+ * value was tampered with
+ */
+const decrypt = (payload, key) => {
+  const [iv, tag, data] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  deriveKey,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,51 @@
+// utils/env.js
+//
+// Helpers for reading structured settings from environment variables.
+// Loaded by config/moodle.js, so nothing here may require the config.
+//
+
+/**
+ * JSON value of an environment variable, or `fallback` when it is unset or
+ * empty. A malformed value (or an array where an object is expected, and
+ * vice versa) throws an error naming the variable instead of a bare
+ * SyntaxError from whichever module loaded the config first.
+ */
+const parseJsonEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Environment variable ${name} is not valid JSON: ${error.message}`);
+  }
+
+  if (value === null) return fallback;
+
+  if (fallback !== null && fallback !== undefined) {
+    const expected = Array.isArray(fallback) ? 'array' : typeof fallback;
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (expected !== actual) {
+      throw new Error(`Environment variable ${name} must be a JSON ${expected}, got ${actual}`);
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Non-negative integer value of an environment variable, or `fallback` when
+ * it is unset, empty or not such an integer. Unlike `parseInt(...) || n`,
+ * an explicit 0 is kept.
+ */
+const parseNonNegativeIntEnv = (name, fallback) => {
+  const raw = process.env[name]?.trim();
+  if (!raw || !/^\d+$/.test(raw)) return fallback;
+  return parseInt(raw, 10);
+};
+
+module.exports = {
+  parseJsonEnv,
+  parseNonNegativeIntEnv
+};
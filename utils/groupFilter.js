@@ -0,0 +1,60 @@
+// utils/groupFilter.js
+// ?groupId= / ?groupName= / ?split=group handling for course groups (batches)
+
+/**
+ * Parse the group query parameters.
+ * Returns null when no group filter was requested; throws an error with
+ * status 400 for a malformed groupId.
+ */
+const parseGroupFilter = ({ groupId, groupName } = {}) => {
+  const hasId = groupId !== undefined && groupId !== null && groupId !== '';
+  const hasName = groupName !== undefined && groupName !== null && String(groupName).trim() !== '';
+
+  if (!hasId && !hasName) return null;
+
+  if (hasId && !/^\d+$/.test(String(groupId))) {
+    throw Object.assign(new Error('groupId must be a positive integer'), { status: 400 });
+  }
+
+  return {
+    groupId: hasId ? parseInt(groupId, 10) : null,
+    groupName: hasName ? String(groupName).trim() : null
+  };
+};
+
+/**
+ * ?split=group → true
+ */
+const parseSplit = (value) => value === 'group';
+
+/**
+ * Groups of a course matching the filter. Names match case-insensitively,
+ * so ?groupName=2025 finds the "2025" batch in every course that has one.
+ */
+const matchGroups = (groups, filter) => groups.filter(group => {
+  if (filter.groupId !== null && group.id !== filter.groupId) return false;
+  if (filter.groupName !== null && (group.name || '').trim().toLowerCase() !== filter.groupName.toLowerCase()) return false;
+  return true;
+});
+
+/**
+ * Keep only users whose id is in the membership set (null = no filter)
+ */
+const filterByGroup = (users, memberIds) =>
+  memberIds ? users.filter(user => memberIds.has(user.id)) : users;
+
+/**
+ * Response block describing an applied group filter (null when none)
+ */
+const describeGroupFilter = (filter, membership) => filter && {
+  ...filter,
+  matchedGroups: (membership?.groups || []).map(({ id, name }) => ({ id, name }))
+};
+
+module.exports = {
+  parseGroupFilter,
+  parseSplit,
+  matchGroups,
+  filterByGroup,
+  describeGroupFilter
+};
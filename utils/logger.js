@@ -0,0 +1,134 @@
+// utils/logger.js
+//
+// Structured logger: one JSON object per line with time, level, msg, the
+// correlation id of the current request or job (from the request context),
+// the module and any fields:
+//
+//   const logger = require('../utils/logger').child({ module: 'moodle' });
+//   logger.info('Call succeeded', { wsfunction, durationMs });
+//
+// Secrets are redacted before anything is written: values of fields named
+// *token / *password / *secret / authorization / cookie, tokens inside URLs
+// and Bearer headers, JWTs, and email addresses anywhere.
+//
+const config = require('../config/moodle');
+const { getContext } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_RE = /(token|password|passwd|secret)$|^(authorization|cookie|set-cookie)$/i;
+const EMAIL_KEY_RE = /e-?mail/i;
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const URL_SECRET_RE = /([?&](?:ws)?token|[?&]password)=[^&\s]*/gi;
+const BEARER_RE = /Bearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT_RE = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+const MAX_DEPTH = 6;
+
+const redactString = value => value
+  .replace(URL_SECRET_RE, `$1=${REDACTED}`)
+  .replace(BEARER_RE, `Bearer ${REDACTED}`)
+  .replace(JWT_RE, REDACTED)
+  .replace(EMAIL_RE, '[EMAIL]');
+
+/**
+ * Copy of a value with secrets removed (errors become plain objects)
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.status,
+      errorcode: value.errorcode,
+      ...(threshold() <= LEVELS.debug && { stack: value.stack })
+    }, depth + 1);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Set) return redact([...value], depth);
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item === undefined) return;
+    if (SECRET_KEY_RE.test(key) && item !== null) result[key] = REDACTED;
+    else if (EMAIL_KEY_RE.test(key) && typeof item === 'string') result[key] = '[EMAIL]';
+    else result[key] = redact(item, depth + 1);
+  });
+  return result;
+};
+
+const threshold = () => LEVELS[config.logging.level] ?? LEVELS.info;
+
+const formatPretty = ({ time, level, msg, module, requestId, ...fields }) => {
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return [
+    time,
+    level.toUpperCase().padEnd(5),
+    module ? `[${module}]` : null,
+    requestId ? `(${requestId})` : null,
+    msg,
+    extra
+  ].filter(Boolean).join(' ');
+};
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds these fields to every line (e.g. { module })
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= threshold();
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const ctx = getContext();
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      requestId: ctx?.requestId || undefined,
+      jobId: ctx?.jobId || undefined,
+      ...this.bindings,
+      ...fields
+    });
+
+    const line = config.logging.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+module.exports = new Logger();
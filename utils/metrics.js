@@ -0,0 +1,185 @@
+// utils/metrics.js
+//
+// Minimal Prometheus metric types and text exposition (format 0.0.4):
+//
+//   const registry = new Registry();
+//   const calls = registry.counter('moodle_requests_total', 'Moodle calls', ['wsfunction']);
+//   calls.inc({ wsfunction: 'core_course_get_courses' });
+//   registry.render();  // → "# HELP moodle_requests_total ...\n..."
+//
+// Counters and gauges can be given a collect(metric) callback that sets
+// their values right before each render, for numbers kept elsewhere (queue
+// sizes, cache statistics).
+//
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = value => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+class Metric {
+  constructor(type, name, help, labelNames = [], collect = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  /**
+   * Label values in declared order (missing labels become '')
+   */
+  labelsOf(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  seriesFor(labels, create) {
+    const normalized = this.labelsOf(labels);
+    const key = JSON.stringify(Object.values(normalized));
+    if (!this.series.has(key)) this.series.set(key, { labels: normalized, ...create() });
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  lines() {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+    return [...this.series.values()].map(({ labels, value }) =>
+      `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('counter', name, help, labelNames, collect);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames, collect);
+  }
+
+  dec(labels, amount = 1) {
+    this.inc(labels, -amount);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed
+   * seconds with the labels given at start and at stop
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames, collect) {
+    return this.register(new Counter(name, help, labelNames, collect));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * All metrics in Prometheus text format
+   */
+  render() {
+    const blocks = [...this.metrics.values()].map(metric => [...metric.header(), ...metric.lines()].join('\n'));
+    return blocks.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
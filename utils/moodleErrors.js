@@ -0,0 +1,196 @@
+// utils/moodleErrors.js
+//
+// Typed errors for Moodle failures. Every class carries the HTTP status and
+// the stable error code the API answers with, and keeps Moodle's own
+// errorcode and exception class:
+//
+//   MoodleError             502 MOODLE_ERROR              other Moodle exceptions, bad responses
+//   MoodleAuthError         401 MOODLE_TOKEN_INVALID      invalidtoken (client must log in again)
+//   MoodleLoginError        401 INVALID_CREDENTIALS       invalidlogin from login/token.php
+//   MoodlePermissionError   403 MOODLE_PERMISSION_DENIED  nopermissions, accessexception, ...
+//   MoodleNotFoundError     404 MOODLE_NOT_FOUND          invalidrecord, ...
+//   MoodleValidationError   422 MOODLE_INVALID_PARAMETER  invalidparameter
+//   MoodleUnavailableError  503 MOODLE_UNAVAILABLE        connection refused, circuit open
+//   MoodleTimeoutError      504 MOODLE_TIMEOUT            no answer in time
+//
+
+const AUTH_CODES = ['invalidtoken', 'expiredtoken'];
+const PERMISSION_CODES = ['nopermissions', 'accessexception', 'requireloginerror', 'notingroup', 'coursehidden', 'sitepolicynotagreed', 'usernotfullysetup'];
+const PERMISSION_EXCEPTIONS = ['required_capability_exception', 'require_login_exception', 'webservice_access_exception'];
+const NOT_FOUND_CODES = ['invalidrecord', 'invalidrecordunknown', 'invalidcourseid', 'invaliduser', 'invaliduserid', 'invalidcoursemodule'];
+const NOT_FOUND_EXCEPTIONS = ['dml_missing_record_exception'];
+const VALIDATION_CODES = ['invalidparameter'];
+const VALIDATION_EXCEPTIONS = ['invalid_parameter_exception'];
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED'];
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ECIRCUITOPEN'];
+
+class MoodleError extends Error {
+  constructor(message, { errorcode = null, exception = null, wsfunction = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'MoodleError';
+    this.status = 502;
+    this.code = 'MOODLE_ERROR';
+    this.errorcode = errorcode;
+    this.exception = exception;
+    this.wsfunction = wsfunction;
+    // Moodle answered; repeating the call would fail the same way (see utils/retry)
+    this.moodleException = Boolean(errorcode || exception);
+  }
+
+  get publicMessage() {
+    return `Moodle returned an error: ${this.message}`;
+  }
+}
+
+class MoodleAuthError extends MoodleError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MoodleAuthError';
+    this.status = 401;
+    this.code = 'MOODLE_TOKEN_INVALID';
+    this.relogin = true;
+  }
+
+  get publicMessage() {
+    return 'Your Moodle session has expired or was revoked, please log in again';
+  }
+}
+
+class MoodleLoginError extends MoodleError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MoodleLoginError';
+    this.status = 401;
+    this.code = 'INVALID_CREDENTIALS';
+  }
+
+  get publicMessage() {
+    return 'Invalid username or password';
+  }
+}
+
+class MoodlePermissionError extends MoodleError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MoodlePermissionError';
+    this.status = 403;
+    this.code = 'MOODLE_PERMISSION_DENIED';
+  }
+
+  get publicMessage() {
+    return `Moodle denied access: ${this.message}`;
+  }
+}
+
+class MoodleNotFoundError extends MoodleError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MoodleNotFoundError';
+    this.status = 404;
+    this.code = 'MOODLE_NOT_FOUND';
+  }
+
+  get publicMessage() {
+    return `Not found in Moodle: ${this.message}`;
+  }
+}
+
+class MoodleValidationError extends MoodleError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MoodleValidationError';
+    this.status = 422;
+    this.code = 'MOODLE_INVALID_PARAMETER';
+  }
+
+  get publicMessage() {
+    return `Moodle rejected the request: ${this.message}`;
+  }
+}
+
+class MoodleUnavailableError extends MoodleError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'MoodleUnavailableError';
+    this.status = 503;
+    this.code = 'MOODLE_UNAVAILABLE';
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get publicMessage() {
+    return 'Cannot connect to the Moodle server, please try again later';
+  }
+}
+
+class MoodleTimeoutError extends MoodleError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MoodleTimeoutError';
+    this.status = 504;
+    this.code = 'MOODLE_TIMEOUT';
+  }
+
+  get publicMessage() {
+    return 'The Moodle server did not respond in time, please try again';
+  }
+}
+
+/**
+ * Typed error for a Moodle exception response
+ * ({ exception, errorcode, message } from the REST server)
+ */
+const fromMoodleException = (data, wsfunction = null) => {
+  const { errorcode = null, exception = null } = data;
+  const message = data.message || data.error || 'Moodle API error';
+  const details = { errorcode, exception, wsfunction };
+
+  if (errorcode === 'invalidlogin') return new MoodleLoginError(message, details);
+  if (AUTH_CODES.includes(errorcode)) return new MoodleAuthError(message, details);
+  if (PERMISSION_CODES.includes(errorcode) || PERMISSION_EXCEPTIONS.includes(exception)) {
+    return new MoodlePermissionError(message, details);
+  }
+  if (NOT_FOUND_CODES.includes(errorcode) || NOT_FOUND_EXCEPTIONS.includes(exception)) {
+    return new MoodleNotFoundError(message, details);
+  }
+  if (VALIDATION_CODES.includes(errorcode) || VALIDATION_EXCEPTIONS.includes(exception)) {
+    return new MoodleValidationError(message, details);
+  }
+  return new MoodleError(message, details);
+};
+
+/**
+ * Typed error for a failed request to Moodle (network, timeout, HTTP error,
+ * open circuit). Errors that are already typed, and errors that did not
+ * come from the request (bugs), are returned unchanged.
+ */
+const fromRequestError = (error, wsfunction = null) => {
+  if (error instanceof MoodleError) return error;
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new MoodleTimeoutError(error.message, { wsfunction, cause: error });
+  }
+  if (UNREACHABLE_CODES.includes(error.code)) {
+    return new MoodleUnavailableError(error.message, { wsfunction, cause: error, retryAfterMs: error.retryAfterMs });
+  }
+  if (error.response) {
+    const data = error.response.data;
+    if (data?.exception || data?.errorcode) return fromMoodleException(data, wsfunction);
+    return new MoodleError(`HTTP ${error.response.status} from Moodle`, { wsfunction, cause: error });
+  }
+
+  return error;
+};
+
+module.exports = {
+  MoodleError,
+  MoodleAuthError,
+  MoodleLoginError,
+  MoodlePermissionError,
+  MoodleNotFoundError,
+  MoodleValidationError,
+  MoodleUnavailableError,
+  MoodleTimeoutError,
+  fromMoodleException,
+  fromRequestError
+};
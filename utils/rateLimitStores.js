@@ -0,0 +1,104 @@
+// utils/rateLimitStores.js
+//
+// Pluggable counters for rate limiting. Every store exposes the same async
+// interface (times in milliseconds since the epoch):
+//   incr(key, windowMs)   → { count, resetAt }   fixed window from the first hit
+//   get(key)              → { count, resetAt } | null
+//   set(key, count, ttlMs)
+//   del(key)
+//
+// A shared store (Redis) makes limits hold across several backend instances.
+//
+
+/**
+ * In-process counters. Expired entries are dropped on access and by
+ * sweep(), which the rate limit service calls periodically.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+  }
+
+  live(key) {
+    const entry = this.counters.get(key);
+    if (!entry) return null;
+
+    if (entry.resetAt <= Date.now()) {
+      this.counters.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async incr(key, windowMs) {
+    let entry = this.live(key);
+    if (!entry) {
+      entry = { count: 0, resetAt: Date.now() + windowMs };
+      this.counters.set(key, entry);
+    }
+    entry.count++;
+    return { ...entry };
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? { ...entry } : null;
+  }
+
+  async set(key, count, ttlMs) {
+    this.counters.set(key, { count, resetAt: Date.now() + ttlMs });
+  }
+
+  async del(key) {
+    this.counters.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.counters) {
+      if (entry.resetAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+/**
+ * Redis-compatible store. Works with any client exposing the ioredis-style
+ * commands multi / incr / get / set(key, value, 'PX', ms) / pexpire / pttl / del.
+ */
+class RedisRateLimitStore {
+  constructor({ client }) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  async incr(key, windowMs) {
+    const [[, count], [, pttl]] = await this.client.multi().incr(key).pttl(key).exec();
+
+    // First hit of the window (or a key left without expiry)
+    if (pttl < 0) {
+      await this.client.pexpire(key, windowMs);
+      return { count: Number(count), resetAt: Date.now() + windowMs };
+    }
+    return { count: Number(count), resetAt: Date.now() + Number(pttl) };
+  }
+
+  async get(key) {
+    const [[, count], [, pttl]] = await this.client.multi().get(key).pttl(key).exec();
+    if (count === null || pttl < 0) return null;
+    return { count: Number(count), resetAt: Date.now() + Number(pttl) };
+  }
+
+  async set(key, count, ttlMs) {
+    await this.client.set(key, String(count), 'PX', ttlMs);
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
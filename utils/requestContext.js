@@ -0,0 +1,87 @@
+// utils/requestContext.js
+//
+// Per-request state that deep service code can reach without threading it
+// through every function signature (request id for logs, cache statistics,
+// etc.).
+//
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Create a fresh context object
+ */
+const createContext = (overrides = {}) => ({
+  cache: { hits: 0, misses: 0, bypass: false },
+  warnings: [],
+  courseScope: null,
+  requestId: null,
+  ...overrides
+});
+
+/**
+ * Run fn inside a new context
+ */
+const runWithContext = (context, fn) => storage.run(createContext(context), fn);
+
+/**
+ * Current context, or null outside a request
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Record a Moodle call that was skipped or degraded, so responses can say
+ * their numbers may be incomplete. No-op outside a context.
+ *
+ * warning: { type: 'skipped' | 'degraded', call, target?, reason }
+ */
+const addWarning = (warning) => {
+  const ctx = getContext();
+  if (ctx) ctx.warnings.push(warning);
+};
+
+/**
+ * Warnings recorded so far in the current context
+ */
+const getWarnings = () => getContext()?.warnings || [];
+
+/**
+ * Limit course lists to these course ids for the rest of the context
+ * (teachers on cohort endpoints). null = no limit.
+ */
+const setCourseScope = (courseIds) => {
+  const ctx = getContext();
+  if (ctx) ctx.courseScope = courseIds ? new Set(courseIds) : null;
+};
+
+/**
+ * Course ids the current context is limited to, or null
+ */
+const getCourseScope = () => getContext()?.courseScope || null;
+
+/**
+ * Correlation id of the current request or job, or null
+ */
+const getRequestId = () => getContext()?.requestId || null;
+
+/**
+ * Express middleware: one context per request (carries req.id when set)
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const noCache = /no-cache/i.test(req.headers['cache-control'] || '');
+  storage.run(createContext({
+    cache: { hits: 0, misses: 0, bypass: noCache },
+    requestId: req.id || null
+  }), next);
+};
+
+module.exports = {
+  runWithContext,
+  getContext,
+  addWarning,
+  getWarnings,
+  setCourseScope,
+  getCourseScope,
+  getRequestId,
+  requestContextMiddleware
+};
@@ -1,4 +1,20 @@
 // utils/responseHandler.js
+const { MoodleError } = require('./moodleErrors');
+
+// Machine-readable `code` of error responses that do not set their own
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'GATEWAY_TIMEOUT'
+};
 
 /**
  * Send success response
@@ -12,12 +28,15 @@ const sendSuccess = (res, data, message = 'Success', statusCode = 200) => {
 };
 
 /**
- * Send error response
+ * Send error response: { success: false, error, code, ...extra }
+ * extra may set a specific `code` and other fields for the client
  */
-const sendError = (res, message = 'Error', statusCode = 500, details = null) => {
+const sendError = (res, message = 'Error', statusCode = 500, details = null, extra = {}) => {
   const response = {
     success: false,
-    error: message
+    error: message,
+    code: STATUS_CODES[statusCode] || 'ERROR',
+    ...extra
   };
 
   if (details && process.env.NODE_ENV === 'development') {
@@ -27,7 +46,41 @@ const sendError = (res, message = 'Error', statusCode = 500, details = null) =>
   res.status(statusCode).json(response);
 };
 
+/**
+ * Central error mapping for route catch blocks:
+ * - Moodle errors → their status (401/403/404/422/502/503/504) and code,
+ *   with Moodle's errorcode / exception, and relogin: true when the Moodle
+ *   token is no longer valid
+ * - errors thrown with a 4xx `status` → that status and message
+ * - anything else → 500 with fallbackMessage
+ */
+const sendRouteError = (res, error, fallbackMessage = 'Internal server error') => {
+  if (res.headersSent) return res.end();
+
+  if (error instanceof MoodleError) {
+    if (error.retryAfterMs) {
+      res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+    }
+    return sendError(res, error.publicMessage, error.status, error.message, {
+      code: error.code,
+      ...(error.relogin && { relogin: true }),
+      moodle: {
+        errorcode: error.errorcode,
+        exception: error.exception,
+        wsfunction: error.wsfunction
+      }
+    });
+  }
+
+  if (error.status >= 400 && error.status < 500) {
+    return sendError(res, error.message, error.status);
+  }
+
+  sendError(res, fallbackMessage, 500, error.message);
+};
+
 module.exports = {
   sendSuccess,
-  sendError
-};
\ No newline at end of file
+  sendError,
+  sendRouteError
+};
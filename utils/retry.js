@@ -0,0 +1,67 @@
+// utils/retry.js
+
+// Network-level failures worth another attempt
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Timeouts, dropped connections and HTTP 5xx are transient.
+ * Moodle exceptions (invalidparameter, nopermissions, ...) and 4xx are not:
+ * repeating the same call would fail the same way.
+ */
+const isTransientError = (error) => {
+  if (!error) return false;
+  if (error.moodleException) return false;
+  if (TRANSIENT_CODES.includes(error.code)) return true;
+
+  const status = error.status || error.response?.status;
+  return Boolean(status && status >= 500);
+};
+
+/**
+ * Exponential backoff with full jitter: random(0, min(max, base * 2^(attempt-1)))
+ */
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * cap);
+};
+
+/**
+ * Run fn until it succeeds, a non-retryable error occurs or retries run out.
+ * Resolves { result, attempts }; the final error gets an `attempts` property.
+ */
+const withRetry = async (fn, {
+  retries = 3,
+  baseDelayMs = 300,
+  maxDelayMs = 5000,
+  shouldRetry = isTransientError,
+  onRetry
+} = {}) => {
+  // A NaN limit would never be exceeded and retry forever
+  if (!Number.isFinite(retries) || retries < 0) {
+    throw new TypeError(`withRetry: retries must be a non-negative number, got ${retries}`);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      return { result, attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  isTransientError,
+  backoffDelay,
+  withRetry
+};
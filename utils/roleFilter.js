@@ -0,0 +1,64 @@
+// utils/roleFilter.js
+// Keep only learners (by role shortname) out of core_enrol_get_enrolled_users results
+const config = require('../config/moodle');
+
+/**
+ * Parse ?roles=student,guest into a list of shortnames.
+ * Missing → configured learner roles; 'all' → null (no filtering).
+ */
+const parseRoles = (value) => {
+  if (value === undefined || value === null || value === '') return config.learnerRoles;
+  if (value === 'all') return null;
+
+  return String(value)
+    .split(',')
+    .map(r => r.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Split users into learners and excluded users.
+ * excluded.byRole counts excluded users under each of their roles
+ * ('none' for users without any role in the course).
+ */
+const filterLearners = (users, roles) => {
+  const excluded = { total: 0, byRole: {} };
+
+  if (!roles) return { learners: users, excluded };
+
+  const allowed = new Set(roles);
+  const learners = [];
+
+  users.forEach(user => {
+    const shortnames = (user.roles || []).map(r => r.shortname);
+
+    if (shortnames.some(r => allowed.has(r))) {
+      learners.push(user);
+      return;
+    }
+
+    excluded.total++;
+    (shortnames.length ? shortnames : ['none']).forEach(r => {
+      excluded.byRole[r] = (excluded.byRole[r] || 0) + 1;
+    });
+  });
+
+  return { learners, excluded };
+};
+
+/**
+ * Add the counts of one exclusion result into another
+ */
+const mergeExcluded = (target, source) => {
+  target.total += source.total;
+  Object.entries(source.byRole).forEach(([role, count]) => {
+    target.byRole[role] = (target.byRole[role] || 0) + count;
+  });
+  return target;
+};
+
+module.exports = {
+  parseRoles,
+  filterLearners,
+  mergeExcluded
+};
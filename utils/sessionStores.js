@@ -0,0 +1,93 @@
+// utils/sessionStores.js
+//
+// Pluggable storage for login sessions. Every store exposes the same async
+// interface:
+//   get(id)           → session | null
+//   set(id, session)
+//   del(id)
+//   list()            → session[]
+//
+// Sessions are stored as given; secrets inside them (the Moodle token) are
+// already encrypted by the session service.
+//
+const fs = require('fs/promises');
+const path = require('path');
+
+const ID_RE = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * In-process store. Sessions are lost on restart.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async set(id, session) {
+    this.sessions.set(id, session);
+  }
+
+  async del(id) {
+    this.sessions.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+}
+
+/**
+ * One JSON file per session (readable by the server user only), so
+ * sessions survive restarts.
+ */
+class FileSessionStore {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = dir;
+  }
+
+  fileFor(id) {
+    if (!ID_RE.test(id)) throw new Error('Invalid session id');
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async set(id, session) {
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+
+    // Write then rename, so a crash never leaves a half-written session
+    const file = this.fileFor(id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(session), { mode: 0o600 });
+    await fs.rename(tmp, file);
+  }
+
+  async del(id) {
+    await fs.unlink(this.fileFor(id)).catch(() => {});
+  }
+
+  async list() {
+    const files = await fs.readdir(this.dir).catch(() => []);
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(file.slice(0, -'.json'.length))));
+    return sessions.filter(Boolean);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore
+};
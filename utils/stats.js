@@ -0,0 +1,83 @@
+// utils/stats.js
+// Small descriptive statistics helpers for grade / quiz analytics
+
+const round = (value, digits = 2) =>
+  value === null || Number.isNaN(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * { count, mean, median, stddev, min, max } of a list of numbers
+ * (population standard deviation); null fields for an empty list
+ */
+const describe = (values) => {
+  const count = values.length;
+  if (count === 0) {
+    return { count: 0, mean: null, median: null, stddev: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((s, v) => s + v, 0) / count;
+  const mid = Math.floor(count / 2);
+  const median = count % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / count;
+
+  return {
+    count,
+    mean: round(mean),
+    median: round(median),
+    stddev: round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[count - 1]
+  };
+};
+
+/**
+ * Parse ?bins=: a number of equal-width bins over 0–100, or a comma
+ * separated list of ascending edges ("0,40,60,80,100").
+ * Returns the list of edges; throws an error with status 400 when invalid.
+ */
+const parseBins = (value, defaultCount = 10) => {
+  if (value === undefined || value === null || value === '') value = String(defaultCount);
+
+  const parts = String(value).split(',').map(p => Number(p.trim()));
+  if (parts.some(Number.isNaN)) {
+    throw Object.assign(new Error('bins must be a number or a list of edges'), { status: 400 });
+  }
+
+  if (parts.length === 1) {
+    const count = parts[0];
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      throw Object.assign(new Error('bins must be between 1 and 100'), { status: 400 });
+    }
+    return Array.from({ length: count + 1 }, (_, i) => round((100 / count) * i));
+  }
+
+  if (parts.some((edge, i) => i > 0 && edge <= parts[i - 1])) {
+    throw Object.assign(new Error('bin edges must be ascending'), { status: 400 });
+  }
+  return parts;
+};
+
+/**
+ * Count values into [edge_i, edge_i+1) bins; the last bin includes its upper
+ * edge. Values outside the edges are ignored.
+ */
+const histogram = (values, edges) => {
+  const bins = edges.slice(0, -1).map((from, i) => ({ from, to: edges[i + 1], count: 0 }));
+  const last = bins.length - 1;
+
+  values.forEach(value => {
+    const index = bins.findIndex((bin, i) =>
+      value >= bin.from && (value < bin.to || (i === last && value === bin.to))
+    );
+    if (index !== -1) bins[index].count++;
+  });
+
+  return bins;
+};
+
+module.exports = {
+  round,
+  describe,
+  parseBins,
+  histogram
+};
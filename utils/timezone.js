@@ -0,0 +1,118 @@
+// utils/timezone.js
+// Calendar-day arithmetic in an IANA timezone (Intl based, DST safe)
+
+const formatters = new Map();
+
+const formatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * True for names Intl accepts ('Asia/Kolkata', 'UTC', ...)
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Local wall-clock parts of a unix timestamp
+ */
+const localParts = (ts, timeZone) => {
+  const parts = {};
+  formatter(timeZone).formatToParts(new Date(ts * 1000)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+};
+
+/**
+ * Offset of the timezone from UTC at an instant, in seconds
+ */
+const offsetAt = (ts, timeZone) => {
+  const p = localParts(ts, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000 - Math.floor(ts);
+};
+
+/**
+ * 'YYYY-MM-DD' of a unix timestamp in the timezone
+ */
+const dateKey = (ts, timeZone = 'UTC') => {
+  const p = localParts(ts, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Unix timestamp of local midnight starting the given 'YYYY-MM-DD'
+ */
+const startOfDay = (key, timeZone = 'UTC') => {
+  const [year, month, day] = key.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day) / 1000;
+
+  // Second pass corrects the offset when midnight falls on a DST change
+  let ts = guess - offsetAt(guess, timeZone);
+  ts = guess - offsetAt(ts, timeZone);
+  return ts;
+};
+
+/**
+ * Last second of the given local day
+ */
+const endOfDay = (key, timeZone = 'UTC') => startOfDay(addDays(key, 1), timeZone) - 1;
+
+/**
+ * Calendar arithmetic on 'YYYY-MM-DD' keys (no timezone involved)
+ */
+const addDays = (key, days) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+const addMonths = (key, months) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+};
+
+/**
+ * Every 'YYYY-MM-DD' from the local day of `from` to the local day of `to`
+ */
+const eachDay = (from, to, timeZone = 'UTC') => {
+  const days = [];
+  const last = dateKey(to, timeZone);
+  for (let key = dateKey(from, timeZone); key <= last; key = addDays(key, 1)) {
+    days.push(key);
+  }
+  return days;
+};
+
+module.exports = {
+  isValidTimeZone,
+  localParts,
+  offsetAt,
+  dateKey,
+  startOfDay,
+  endOfDay,
+  addDays,
+  addMonths,
+  eachDay
+};